@@ -1,6 +1,13 @@
 // controllers/adminController.js
 const Log = require('../models/Log');
 const Content = require('../models/Content');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Review = require('../models/Review');
+const auditService = require('../services/auditService');
+const homeService = require('../services/homeService');
+const { tmdbService } = require('../services/tmdbService');
+const collaborativeFilteringService = require('../services/collaborativeFilteringService');
 const axios = require('axios');
 
 // @desc    Get all logs with filtering options
@@ -13,16 +20,16 @@ exports.getLogs = async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Extract filter parameters
-    const { action, email, startDate, endDate } = req.query;
+    const { action, email, startDate, endDate, targetId } = req.query;
     
     // Build query
     const query = {};
     
     // Apply filters if provided
     if (action) query.action = action;
+    if (targetId) query.targetId = targetId;
     if (email && email.trim() !== '') {
       // Find user by email and then filter logs by user
-      const User = require('../models/User');
       const user = await User.findOne({ email: { $regex: email, $options: 'i' } });
       if (user) {
         query.user = user._id;
@@ -278,12 +285,13 @@ exports.importContent = async (req, res) => {
     }
     
     // Create log entry for content addition
-    await Log.create({
+    await auditService.record({
       user: req.user._id,
       action: 'add_content',
       details: `Added new ${type}: ${content.title}`,
-      timestamp: new Date()
-    });
+      targetType: 'Content',
+      targetId: content._id
+    }, req);
     
     res.status(201).json({
       success: true,
@@ -299,14 +307,339 @@ exports.importContent = async (req, res) => {
   }
 };
 
-// @desc    Get system statistics (counts)
+// @desc    Backfill release metadata (language, certifications...) from TMDB
+// @route   POST /api/admin/tmdb/backfill
+// @access  Private/Admin
+exports.backfillMetadata = async (req, res) => {
+  try {
+    const { limit: requestedLimit, force: requestedForce } = req.body || {};
+    const limit = Math.min(Math.max(parseInt(requestedLimit) || 100, 1), 500);
+    const force = requestedForce === true;
+    
+    const result = await tmdbService.backfillMetadata({ limit, force });
+    
+    res.status(200).json({
+      success: true,
+      message: `Updated metadata for ${result.updated} of ${result.processed} titles`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error backfilling metadata:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error: ' + error.message
+    });
+  }
+};
+
+// @desc    Rebuild the collaborative filtering recommendation model now
+// @route   POST /api/admin/recommendations/rebuild
+// @access  Private/Admin
+exports.rebuildRecommendationModel = async (req, res) => {
+  try {
+    const result = await collaborativeFilteringService.buildModel();
+    
+    res.status(200).json({
+      success: true,
+      message: `Rebuilt recommendation model for ${result.titles} titles from ${result.profiles} profiles`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error rebuilding recommendation model:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error: ' + error.message
+    });
+  }
+};
+
+// @desc    Get the homepage row layout (and the row types it can use)
+// @route   GET /api/admin/home-layout
+// @access  Private/Admin
+exports.getHomeLayout = async (req, res) => {
+  try {
+    const layout = await homeService.getLayout();
+    
+    res.status(200).json({
+      success: true,
+      rowTypes: homeService.ROW_TYPES,
+      data: layout
+    });
+  } catch (error) {
+    console.error('Error fetching home layout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error: ' + error.message
+    });
+  }
+};
+
+// @desc    Replace the homepage row layout
+// @route   PUT /api/admin/home-layout
+// @access  Private/Admin
+exports.updateHomeLayout = async (req, res) => {
+  try {
+    const { rows, error } = homeService.validateLayout((req.body || {}).rows);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const before = await homeService.getLayout();
+    const layout = await homeService.saveLayout(rows, req.user._id);
+    
+    await auditService.record({
+      user: req.user._id,
+      action: 'update_home_layout',
+      details: `Updated home layout: ${rows.filter(row => row.enabled).map(row => row.type).join(', ')}`,
+      targetType: 'HomeLayout',
+      before: { rows: before.rows },
+      after: { rows: layout.rows }
+    }, req);
+    
+    res.status(200).json({
+      success: true,
+      data: layout
+    });
+  } catch (error) {
+    console.error('Error updating home layout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error: ' + error.message
+    });
+  }
+};
+
+// @desc    Go back to the default homepage row layout
+// @route   DELETE /api/admin/home-layout
+// @access  Private/Admin
+exports.resetHomeLayout = async (req, res) => {
+  try {
+    const before = await homeService.getLayout();
+    const layout = await homeService.resetLayout();
+    
+    if (!before.isDefault) {
+      await auditService.record({
+        user: req.user._id,
+        action: 'update_home_layout',
+        details: 'Reset home layout to the default',
+        targetType: 'HomeLayout',
+        before: { rows: before.rows },
+        after: { rows: layout.rows }
+      }, req);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: layout
+    });
+  } catch (error) {
+    console.error('Error resetting home layout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error: ' + error.message
+    });
+  }
+};
+
+// Build a { $gte, $lte } date range from query params (defaults to the last 30 days)
+const getDateRange = (startDate, endDate) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  end.setHours(23, 59, 59, 999);
+  
+  const start = startDate ? new Date(startDate) : new Date(end);
+  if (!startDate) {
+    start.setDate(end.getDate() - 29);
+  }
+  start.setHours(0, 0, 0, 0);
+  
+  return { start, end };
+};
+
+// Group documents by day of a date field, returning [{ date: 'YYYY-MM-DD', count }]
+const countPerDay = (Model, dateField, start, end) => {
+  return Model.aggregate([
+    { $match: { [dateField]: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}` } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: '$_id', count: 1 } }
+  ]);
+};
+
+// Join content details onto an aggregation result keyed by content _id
+const lookupContent = [
+  {
+    $lookup: {
+      from: 'contents',
+      localField: '_id',
+      foreignField: '_id',
+      as: 'content'
+    }
+  },
+  { $unwind: '$content' },
+  {
+    $project: {
+      _id: '$content._id',
+      title: '$content.title',
+      type: '$content.type',
+      posterPath: '$content.posterPath',
+      count: 1,
+      averageRating: 1
+    }
+  }
+];
+
+// @desc    Get system statistics (counts, growth and top content)
 // @route   GET /api/admin/stats
 // @access  Private/Admin
 exports.getStats = async (req, res) => {
   try {
+    const { startDate, endDate } = req.query;
+    const topLimit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    
+    if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+    
+    const { start, end } = getDateRange(startDate, endDate);
+    
+    if (start > end) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be before end date'
+      });
+    }
+    
+    const [
+      userCounts,
+      profileCounts,
+      contentCounts,
+      reviewCounts,
+      signupsPerDay,
+      reviewsPerDay,
+      topReviewed,
+      topSaved,
+      genreDistribution,
+      activity
+    ] = await Promise.all([
+      // Users by role
+      User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ]),
+      // Profiles and total My List entries
+      Profile.aggregate([
+        {
+          $group: {
+            _id: null,
+            profiles: { $sum: 1 },
+            myListItems: { $sum: { $size: { $ifNull: ['$myList', []] } } }
+          }
+        }
+      ]),
+      // Content by type
+      Content.aggregate([
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ]),
+      // Reviews and average rating
+      Review.aggregate([
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            averageRating: { $avg: '$rating' }
+          }
+        }
+      ]),
+      countPerDay(User, 'createdAt', start, end),
+      countPerDay(Review, 'createdAt', start, end),
+      // Most reviewed titles
+      Review.aggregate([
+        {
+          $group: {
+            _id: '$content',
+            count: { $sum: 1 },
+            averageRating: { $avg: '$rating' }
+          }
+        },
+        { $sort: { count: -1 } },
+        { $limit: topLimit },
+        ...lookupContent
+      ]),
+      // Titles saved to the most My Lists
+      Profile.aggregate([
+        { $unwind: '$myList' },
+        { $group: { _id: '$myList.content', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: topLimit },
+        ...lookupContent
+      ]),
+      // Catalog genre distribution
+      Content.aggregate([
+        { $unwind: '$genres' },
+        {
+          $group: {
+            _id: '$genres.id',
+            name: { $first: '$genres.name' },
+            count: { $sum: 1 },
+            movies: { $sum: { $cond: [{ $eq: ['$type', 'movie'] }, 1, 0] } },
+            tv: { $sum: { $cond: [{ $eq: ['$type', 'tv'] }, 1, 0] } }
+          }
+        },
+        { $sort: { count: -1 } },
+        { $project: { _id: 0, id: '$_id', name: 1, count: 1, movies: 1, tv: 1 } }
+      ]),
+      // Logged actions within the range
+      Log.aggregate([
+        { $match: { timestamp: { $gte: start, $lte: end } } },
+        { $group: { _id: '$action', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+    
+    // Turn [{ _id, count }] into { [_id]: count }
+    const toCountMap = (buckets) => buckets.reduce((acc, bucket) => {
+      acc[bucket._id] = bucket.count;
+      return acc;
+    }, {});
+    
+    const usersByRole = toCountMap(userCounts);
+    const contentByType = toCountMap(contentCounts);
+    const profileTotals = profileCounts[0] || { profiles: 0, myListItems: 0 };
+    const reviewTotals = reviewCounts[0] || { count: 0, averageRating: 0 };
+    
     res.status(200).json({
       success: true,
-      message: 'Stats endpoint - to be implemented'
+      data: {
+        range: { startDate: start, endDate: end },
+        counts: {
+          users: Object.values(usersByRole).reduce((sum, count) => sum + count, 0),
+          admins: usersByRole.admin || 0,
+          profiles: profileTotals.profiles,
+          content: (contentByType.movie || 0) + (contentByType.tv || 0),
+          movies: contentByType.movie || 0,
+          tvShows: contentByType.tv || 0,
+          reviews: reviewTotals.count,
+          averageRating: reviewTotals.averageRating || 0,
+          myListItems: profileTotals.myListItems
+        },
+        signupsPerDay,
+        reviewsPerDay,
+        topReviewed,
+        topSaved,
+        genreDistribution,
+        activity: toCountMap(activity)
+      }
     });
   } catch (error) {
     console.error('Error fetching stats:', error);
@@ -0,0 +1,377 @@
+// controllers/adminUserController.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Review = require('../models/Review');
+const auditService = require('../services/auditService');
+const sessionService = require('../services/sessionService');
+const loginThrottleService = require('../services/loginThrottleService');
+const { escapeRegex } = require('../services/searchService');
+
+// Load the target user, refusing changes an admin makes to their own account.
+// Returns the user, or null if a response was already sent.
+const findTargetUser = async (req, res, { allowSelf = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!allowSelf && req.params.id === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private/Admin
+exports.getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const { search, role, status } = req.query;
+
+    const query = {};
+    if (search && search.trim() !== '') {
+      query.email = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    }
+    if (role && ['admin', 'user'].includes(role)) {
+      query.role = role;
+    }
+    if (status === 'suspended') {
+      query.suspended = true;
+    } else if (status === 'active') {
+      query.suspended = { $ne: true };
+    }
+
+    const [users, total] = await Promise.all([
+      User.aggregate([
+        { $match: query },
+        { $sort: { createdAt: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'profiles',
+            localField: '_id',
+            foreignField: 'user',
+            as: 'profiles'
+          }
+        },
+        {
+          $project: {
+            email: 1,
+            role: 1,
+            suspended: 1,
+            suspendedAt: 1,
+            emailVerified: 1,
+            twoFactorEnabled: 1,
+            createdAt: 1,
+            profileCount: { $size: '$profiles' }
+          }
+        }
+      ]),
+      User.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      users,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get a user with their profiles, review counts and sessions
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res, { allowSelf: true });
+    if (!user) return;
+
+    const [profiles, reviewCounts, sessions, lockout] = await Promise.all([
+      Profile.find({ user: user._id }).select('name avatar createdAt myList'),
+      Review.aggregate([
+        { $match: { user: user._id } },
+        {
+          $group: {
+            _id: '$profile',
+            count: { $sum: 1 },
+            averageRating: { $avg: '$rating' }
+          }
+        }
+      ]),
+      sessionService.getActiveSessions(user._id),
+      loginThrottleService.getAccountStatus(user.email)
+    ]);
+
+    const reviewsByProfile = reviewCounts.reduce((acc, item) => {
+      acc[item._id.toString()] = item;
+      return acc;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        profiles: profiles.map(profile => {
+          const reviews = reviewsByProfile[profile._id.toString()];
+          return {
+            _id: profile._id,
+            name: profile.name,
+            avatar: profile.avatar,
+            createdAt: profile.createdAt,
+            myListCount: profile.myList.length,
+            reviewCount: reviews ? reviews.count : 0,
+            averageRating: reviews ? reviews.averageRating : 0
+          };
+        }),
+        reviewCount: reviewCounts.reduce((sum, item) => sum + item.count, 0),
+        activeSessions: sessions.length,
+        lockout
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Promote or demote a user
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body || {};
+
+    if (!['admin', 'user'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role. Must be admin or user.'
+      });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousRole = user.role;
+
+    if (previousRole === role) {
+      return res.status(200).json({
+        success: true,
+        message: `User is already ${role}`,
+        data: user
+      });
+    }
+
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    await auditService.record({
+      user: req.user._id,
+      action: 'change_role',
+      details: `Changed role of ${user.email}: ${previousRole} -> ${role}`,
+      targetType: 'User',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role }
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Suspend a user and sign out all of their devices
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private/Admin
+exports.suspendUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.suspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    const { reason } = req.body || {};
+
+    user.suspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedReason = reason || null;
+    await user.save({ validateBeforeSave: false });
+
+    const revoked = await sessionService.revokeAllSessions(user._id, 'user_suspended');
+
+    await auditService.record({
+      user: req.user._id,
+      action: 'suspend_user',
+      details: `Suspended ${user.email}${reason ? `: ${reason}` : ''}`,
+      targetType: 'User',
+      targetId: user._id
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `User suspended and ${revoked} session(s) revoked`,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Reactivate a suspended user
+// @route   POST /api/admin/users/:id/reactivate
+// @access  Private/Admin
+exports.reactivateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.suspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+
+    user.suspended = false;
+    user.suspendedAt = null;
+    user.suspendedReason = null;
+    await user.save({ validateBeforeSave: false });
+
+    await auditService.record({
+      user: req.user._id,
+      action: 'reactivate_user',
+      details: `Reactivated ${user.email}`,
+      targetType: 'User',
+      targetId: user._id
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Sign a user out of every device
+// @route   POST /api/admin/users/:id/logout
+// @access  Private/Admin
+exports.forceLogoutUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const revoked = await sessionService.revokeAllSessions(user._id, 'forced_logout');
+
+    await auditService.record({
+      user: req.user._id,
+      action: 'force_logout',
+      details: `Forced logout of ${user.email} (${revoked} session(s))`,
+      targetType: 'User',
+      targetId: user._id
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`
+    });
+  } catch (error) {
+    console.error('Error forcing logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Unlock a user locked out after failed logins
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res, { allowSelf: true });
+    if (!user) return;
+
+    const status = await loginThrottleService.getAccountStatus(user.email);
+    await loginThrottleService.unlockAccount(user.email);
+
+    await auditService.record({
+      user: req.user._id,
+      action: 'account_unlocked',
+      details: `Unlocked account: ${user.email} (${status.failures} failed attempts)`,
+      targetType: 'User',
+      targetId: user._id
+    }, req);
+
+    res.status(200).json({
+      success: true,
+      message: `Account ${user.email} unlocked`,
+      data: {
+        previousFailures: status.failures,
+        wasLocked: !!status.lockedUntil
+      }
+    });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
@@ -1,34 +1,183 @@
-const User = require('../models/User');
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+const mailService = require('../services/mailService');
+const totpService = require('../services/totpService');
+const loginThrottleService = require('../services/loginThrottleService');
+const auditService = require('../services/auditService');
 
-// Helper function to create and send token
-const sendTokenResponse = (user, statusCode, res, remember = false) => {
-  const token = jwt.sign(
-    { id: user._id },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
-  );
+const REFRESH_COOKIE = 'refreshToken';
 
+// Cookie options shared by the access and refresh token cookies
+const getCookieOptions = (extra = {}) => {
   const cookieOptions = {
-    expires: remember 
-      ? new Date(Date.now() + 60 * 60 * 1000) // 1 hour if "remember me"
-      : new Date(Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000), 
-    httpOnly: true
+    httpOnly: true,
+    ...extra
   };
 
   if (process.env.NODE_ENV === 'production') {
     cookieOptions.secure = true;
   }
 
-  res.cookie('token', token, cookieOptions);
+  return cookieOptions;
+};
 
-  user.password = undefined;
+// Set the access and refresh token cookies and send them in the response
+const sendSessionTokens = (res, statusCode, user, session, refreshToken, body = {}) => {
+  const token = sessionService.signAccessToken(user, session);
+
+  res.cookie('token', token, getCookieOptions({
+    expires: session.expiresAt
+  }));
+
+  // "Remember me" keeps the refresh cookie across browser restarts
+  res.cookie(REFRESH_COOKIE, refreshToken, getCookieOptions({
+    path: '/api/auth',
+    ...(session.remember ? { expires: session.expiresAt } : {})
+  }));
 
   res.status(statusCode).json({
     success: true,
     token,
-    user
+    refreshToken,
+    ...body
+  });
+};
+
+// Helper function to start a session and send its tokens
+const sendTokenResponse = async (user, statusCode, req, res, remember = false, twoFactorVerified = false) => {
+  const { session, refreshToken } = await sessionService.createSession(user, req, remember, twoFactorVerified);
+
+  user.password = undefined;
+
+  sendSessionTokens(res, statusCode, user, session, refreshToken, { user });
+};
+
+// Clear both auth cookies
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000), // 10 seconds
+    httpOnly: true
+  });
+  res.cookie(REFRESH_COOKIE, 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+    path: '/api/auth'
+  });
+  res.cookie('profileToken', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+};
+
+// Check password strength, returns an error message or null
+const validatePassword = (password) => {
+  if (!password || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+
+  const hasLetter = /[a-zA-Z]/.test(password);
+  const hasNumber = /[0-9]/.test(password);
+
+  if (!hasLetter || !hasNumber) {
+    return 'Password must contain at least one letter and one number';
+  }
+
+  return null;
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const signTwoFactorChallenge = (user, remember) => {
+  return jwt.sign(
+    { id: user._id, purpose: '2fa', remember: !!remember },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Recovery codes must be text (authenticator codes may also arrive as numbers)
+const isValidRecoveryCodeInput = (recoveryCode) => (
+  recoveryCode === undefined || recoveryCode === null || typeof recoveryCode === 'string'
+);
+
+// Check a TOTP code or recovery code against a user loaded with 2FA fields.
+// Consumes the code on success with a conditional update, so two requests
+// racing with the same code can't both use it.
+const consumeTwoFactorCode = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totpService.verifyCode(user.twoFactorSecret, code);
+    if (step === null) {
+      return false;
+    }
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }]
+      },
+      { $set: { twoFactorLastStep: step } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  if (recoveryCode) {
+    const hash = totpService.hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  return false;
+};
+
+// Respond with 429 if the account or IP must wait before trying again.
+// Returns true if the response was sent.
+const rejectIfThrottled = async (req, res, email) => {
+  const { ip } = auditService.getRequestInfo(req);
+  const { allowed, locked, retryAfterMs } = await loginThrottleService.check(email, ip);
+
+  if (allowed) {
+    return false;
+  }
+
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    message: locked
+      ? 'Too many failed login attempts. Account temporarily locked, please try again later'
+      : 'Too many failed login attempts. Please wait before trying again',
+    retryAfter
   });
+
+  return true;
+};
+
+// Count a failed login and log any lockout it triggers
+const handleFailedLogin = async (req, email, user = null) => {
+  const { ip } = auditService.getRequestInfo(req);
+  const { accountLocked, ipLocked, lockedUntil } = await loginThrottleService.recordFailure(email, ip);
+
+  if (user && (accountLocked || ipLocked)) {
+    await auditService.record({
+      user: user._id,
+      action: 'account_locked',
+      details: `${accountLocked ? 'Account' : `IP ${ip}`} locked until ${lockedUntil.toISOString()} after repeated failed logins: ${user.email}`,
+      targetType: 'User',
+      targetId: user._id
+    }, req);
+  }
+};
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes';
+
+// Create a verification token for the user and email it
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await mailService.sendEmailVerification(user, token);
 };
 
 // @desc    Register user
@@ -36,31 +185,30 @@ const sendTokenResponse = (user, statusCode, res, remember = false) => {
 // @access  Public
 exports.register = async (req, res) => {
   try {
-    const { email, password, role } = req.body;
+    // Role is never taken from the request - admins are promoted via /api/admin/users
+    const { email, password } = req.body;
 
-    if (!password || password.length < 8) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 8 characters'
-      });
-    }
-    const hasLetter = /[a-zA-Z]/.test(password);
-    const hasNumber = /[0-9]/.test(password);
-
-    if (!hasLetter || !hasNumber) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must contain at least one letter and one number'
+        message: passwordError
       });
     }
 
     const user = await User.create({
       email,
-      password,
-      role
+      password
     });
 
-    sendTokenResponse(user, 201, res);
+    // Don't fail registration if the mail can't be delivered
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    await sendTokenResponse(user, 201, req, res);
   } catch (err) {
     if (err.code === 11000) {
       const field = Object.keys(err.keyPattern)[0];
@@ -91,9 +239,14 @@ exports.login = async (req, res) => {
       });
     }
 
+    if (await rejectIfThrottled(req, res, email)) {
+      return;
+    }
+
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await handleFailedLogin(req, email);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -103,13 +256,42 @@ exports.login = async (req, res) => {
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      await handleFailedLogin(req, email, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    sendTokenResponse(user, 200, res, remember);
+    if (user.suspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended'
+      });
+    }
+
+    // Password is correct but a second factor is still needed
+    if (user.twoFactorEnabled) {
+      res.locals.audit = { skip: true };
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user, remember)
+      });
+    }
+
+    // Only a completed login resets the failure count, so a known password
+    // can't be used to keep retrying 2FA codes
+    await loginThrottleService.recordSuccess(email);
+
+    res.locals.audit = {
+      user: user._id,
+      details: `User logged in: ${user.email}`,
+      targetType: 'User',
+      targetId: user._id
+    };
+
+    await sendTokenResponse(user, 200, req, res, remember);
   } catch (err) {
     res.status(500).json({
       success: false,
@@ -118,19 +300,237 @@ exports.login = async (req, res) => {
   }
 };
 
-// @desc    Logout user / clear cookie
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a code'
+      });
+    }
+
+    if (!isValidRecoveryCodeInput(recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recovery code must be text'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      challenge = null;
+    }
+
+    if (!challenge || challenge.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    if (await rejectIfThrottled(req, res, user.email)) {
+      return;
+    }
+
+    const isValid = await consumeTwoFactorCode(user, { code, recoveryCode });
+
+    if (!isValid) {
+      await handleFailedLogin(req, user.email, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await loginThrottleService.recordSuccess(user.email);
+
+    res.locals.audit = {
+      user: user._id,
+      details: `User logged in with ${code ? 'authenticator code' : 'recovery code'}: ${user.email}`,
+      targetType: 'User',
+      targetId: user._id
+    };
+
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastStep = undefined;
+
+    await sendTokenResponse(user, 200, req, res, challenge.remember, true);
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Logout user / revoke session and clear cookies
 // @route   GET /api/auth/logout
 // @access  Private
-exports.logout = (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000), // 10 seconds
-    httpOnly: true
-  });
+exports.logout = async (req, res) => {
+  try {
+    if (req.authSession) {
+      await sessionService.revokeSession(req.authSession, 'logout');
+    } else if (req.cookies && req.cookies[REFRESH_COOKIE]) {
+      // Access token already expired - revoke via the refresh token instead
+      await sessionService.revokeByRefreshToken(req.cookies[REFRESH_COOKIE], 'logout');
+    }
 
-  res.status(200).json({
-    success: true,
-    message: 'User logged out successfully'
-  });
+    if (req.user) {
+      res.locals.audit = {
+        details: `User logged out: ${req.user.email}`,
+        targetType: 'User',
+        targetId: req.user._id
+      };
+    }
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'User logged out successfully'
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+  try {
+    const refreshToken = (req.body && req.body.refreshToken) ||
+      (req.cookies && req.cookies[REFRESH_COOKIE]);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const rotated = await sessionService.rotateSession(refreshToken, req);
+
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(rotated.session.user);
+
+    if (!user || user.suspended) {
+      await sessionService.revokeSession(rotated.session, user ? 'user_suspended' : 'user_deleted');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: user
+          ? 'This account has been suspended'
+          : 'The user belonging to this token no longer exists'
+      });
+    }
+
+    sendSessionTokens(res, 200, user, rotated.session, rotated.refreshToken);
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Get active sessions (signed-in devices) of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user._id);
+    const currentId = req.authSession ? req.authSession._id.toString() : null;
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === currentId
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Sign out a device by revoking its session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await sessionService.revokeSession(session, 'signed_out_remotely');
+
+    res.locals.audit = {
+      details: `Signed out session ${session._id} (${session.userAgent || 'unknown device'})`,
+      targetType: 'Session',
+      targetId: session._id
+    };
+
+    // Signing out the current device also clears its cookies
+    if (req.authSession && req.authSession._id.equals(session._id)) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
 };
 
 // @desc    Get current logged in user
@@ -150,4 +550,340 @@ exports.getMe = async (req, res) => {
       message: err.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email });
+
+    // Always answer the same way so emails can't be enumerated, even when
+    // creating or sending the reset link fails
+    if (user) {
+      try {
+        const token = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        try {
+          await mailService.sendPasswordReset(user, token);
+        } catch (mailError) {
+          user.resetPasswordToken = undefined;
+          user.resetPasswordExpire = undefined;
+          await user.save({ validateBeforeSave: false });
+          throw mailError;
+        }
+      } catch (resetError) {
+        console.error('Error sending password reset:', resetError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Reset password using a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Tokens are single-use
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    // Receiving the link proves ownership of the email
+    user.emailVerified = true;
+    await user.save();
+
+    // Sign out every device that used the old password
+    await sessionService.revokeAllSessions(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Start 2FA enrollment by generating a new secret
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    req.user.twoFactorPendingSecret = secret;
+    await req.user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: totpService.getOtpauthUri(secret, req.user.email)
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = totpService.verifyCode(user.twoFactorPendingSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    // The current device just proved possession of the second factor
+    if (req.authSession) {
+      req.authSession.twoFactorVerified = true;
+      await req.authSession.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Disable 2FA (requires password and a current code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    if (!isValidRecoveryCodeInput(recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recovery code must be text'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (!(await consumeTwoFactorCode(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
+
+// @desc    Replace recovery codes (requires a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await consumeTwoFactorCode(user, { code }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = totpService.generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: err.message
+    });
+  }
+};
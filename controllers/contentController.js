@@ -1,5 +1,11 @@
+const mongoose = require('mongoose');
 const Content = require('../models/Content');
 const tmdbService = require('../services/tmdbService');
+const searchService = require('../services/searchService');
+const suggestService = require('../services/suggestService');
+const maturityService = require('../services/maturityService');
+const preferenceService = require('../services/preferenceService');
+const similarityService = require('../services/similarityService');
 const Review = require('../models/Review'); 
 
 const getContentWithReviews = async (query = {}, limit = 10) => {
@@ -34,13 +40,14 @@ const getContentWithReviews = async (query = {}, limit = 10) => {
 // @access  Private
 exports.getFeaturedContent = async (req, res) => {
   try {
-    const featuredContent = await Content.find({ featured: true })
+    const maturityFilter = maturityService.getContentFilter(req.profile);
+    const featuredContent = await Content.find({ featured: true, ...maturityFilter })
       .select('title overview backdropPath posterPath type releaseDate voteAverage');
     
     if (featuredContent.length === 0) {
       // If no featured content, set some and try again
       await tmdbService.setFeaturedContent();
-      const newFeaturedContent = await Content.find({ featured: true })
+      const newFeaturedContent = await Content.find({ featured: true, ...maturityFilter })
         .select('title overview backdropPath posterPath type releaseDate voteAverage');
       
       return res.status(200).json({
@@ -71,7 +78,7 @@ exports.getNewestContent = async (req, res) => {
   try {
     const { type, limit = 10 } = req.query;
     
-    const query = type ? { type } : {};
+    const query = { ...(type ? { type } : {}), ...maturityService.getContentFilter(req.profile) };
     const newestContent = await Content.find(query)
       .sort({ releaseDate: -1 })
       .limit(parseInt(limit))
@@ -98,7 +105,7 @@ exports.getPopularContent = async (req, res) => {
   try {
     const { type, limit = 10 } = req.query;
     
-    const query = type ? { type } : {};
+    const query = { ...(type ? { type } : {}), ...maturityService.getContentFilter(req.profile) };
     const popularContent = await Content.find(query)
       .sort({ popularity: -1 })
       .limit(parseInt(limit))
@@ -125,7 +132,7 @@ exports.getMostReviewedContent = async (req, res) => {
   try {
     const { type, limit = 10 } = req.query;
     
-    const query = type ? { type } : {};
+    const query = { ...(type ? { type } : {}), ...maturityService.getContentFilter(req.profile) };
     const mostReviewedContent = await getContentWithReviews(query, parseInt(limit));
     
     mostReviewedContent.sort((a, b) => b.reviewCount - a.reviewCount);
@@ -160,7 +167,7 @@ exports.getHighestRatedContent = async (req, res) => {
   try {
     const { type, limit = 10 } = req.query;
     
-    const query = type ? { type } : {};
+    const query = { ...(type ? { type } : {}), ...maturityService.getContentFilter(req.profile) };
     const highestRatedContent = await getContentWithReviews(query, parseInt(limit));
     
     // Filter content with at least one review and sort by average rating
@@ -201,7 +208,7 @@ exports.getContentByGenre = async (req, res) => {
     const { type, limit = 10 } = req.query;
     
     // Create query with genre matching
-    const query = { 'genres.id': parseInt(genreId) };
+    const query = { 'genres.id': parseInt(genreId), ...maturityService.getContentFilter(req.profile) };
     if (type) query.type = type;
     
     const contentByGenre = await Content.find(query)
@@ -239,6 +246,13 @@ exports.getContentById = async (req, res) => {
       });
     }
     
+    if (!maturityService.isAllowed(req.profile, content)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This title is not available for this profile'
+      });
+    }
+    
     // Get reviews for this content
     const reviews = await Review.find({ content: id, isPublic: true })
       .populate('user', 'email')
@@ -260,6 +274,72 @@ exports.getContentById = async (req, res) => {
   }
 };
 
+// @desc    Get titles similar to a title ("More Like This")
+// @route   GET /api/content/:id/similar
+// @access  Private
+exports.getSimilarContent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+    
+    const content = await Content.findById(id).select('title maturityLevel');
+    
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+    
+    if (!maturityService.isAllowed(req.profile, content)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This title is not available for this profile'
+      });
+    }
+    
+    // All cached neighbours of the type, since some may be hidden for this profile
+    const neighbours = await similarityService.getSimilar(id, {
+      type: ['movie', 'tv'].includes(type) ? type : null
+    });
+    
+    const similarContent = await Content.find({
+      _id: { $in: neighbours.map(neighbour => neighbour.contentId) },
+      ...maturityService.getContentFilter(req.profile)
+    })
+      .select('title overview posterPath backdropPath type releaseDate voteAverage genres');
+    
+    const contentById = new Map(similarContent.map(item => [item._id.toString(), item]));
+    const data = neighbours
+      .filter(neighbour => contentById.has(neighbour.contentId.toString()))
+      .slice(0, limit)
+      .map(neighbour => ({
+        ...contentById.get(neighbour.contentId.toString()).toObject(),
+        similarity: Math.round(neighbour.score * 1000) / 1000
+      }));
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching similar content:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
 // @desc    Fetch user's reviewed content
 // @route   GET /api/content/reviewed
 // @access  Private
@@ -271,12 +351,17 @@ exports.getUserReviewedContent = async (req, res) => {
     const userReviews = await Review.find({ user: userId })
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
-      .populate('content', 'title posterPath backdropPath type releaseDate voteAverage');
+      .populate('content', 'title posterPath backdropPath type releaseDate voteAverage maturityLevel');
+    
+    // Skip deleted titles and titles above the profile's maturity level
+    const visibleReviews = userReviews.filter(review =>
+      review.content && maturityService.isAllowed(req.profile, review.content)
+    );
     
     res.status(200).json({
       success: true,
-      count: userReviews.length,
-      data: userReviews.map(review => ({
+      count: visibleReviews.length,
+      data: visibleReviews.map(review => ({
         _id: review.content._id,
         title: review.content.title,
         posterPath: review.content.posterPath,
@@ -305,39 +390,32 @@ exports.getBrowseContent = async (req, res) => {
     // Extract all available content data for the browse page
     const limit = req.query.limit || 100;
     
+    // Profile's preferred types and excluded genres apply unless ?ignorePreferences=true
+    const preferenceFilter = req.query.ignorePreferences === 'true'
+      ? {}
+      : preferenceService.getContentFilter(req.profile);
+    
     // Get all content with minimal fields for efficiency
-    const allContent = await Content.find({})
+    const maturityFilter = maturityService.getContentFilter(req.profile);
+    const allContent = await Content.find({ ...maturityFilter, ...preferenceFilter })
       .select('title overview posterPath backdropPath type releaseDate voteAverage genres original_language popularity')
       .limit(parseInt(limit));
     
-    // Extract unique genres from all content
-    const genres = new Set(['All Genres']);
-    allContent.forEach(content => {
-      if (Array.isArray(content.genres)) {
-        content.genres.forEach(genre => {
-          if (typeof genre === 'string') {
-            genres.add(genre);
-          } else if (genre && genre.name) {
-            genres.add(genre.name);
-          }
-        });
-      }
-    });
+    // Genres and languages across the whole catalog, not just the loaded page
+    const [genreNames, languageCodes] = await Promise.all([
+      Content.distinct('genres.name', { ...maturityFilter, ...preferenceFilter }),
+      Content.distinct('original_language', { ...maturityFilter, ...preferenceFilter })
+    ]);
     
-    // Extract unique languages
-    const languages = new Set(['All Languages']);
-    allContent.forEach(content => {
-      if (content.original_language) {
-        languages.add(content.original_language);
-      }
-    });
+    const genres = ['All Genres', ...genreNames.filter(Boolean).sort()];
+    const languages = ['All Languages', ...languageCodes.filter(Boolean).sort()];
     
     res.status(200).json({
       success: true,
       data: {
         content: allContent,
-        availableGenres: Array.from(genres),
-        availableLanguages: Array.from(languages)
+        availableGenres: genres,
+        availableLanguages: languages
       }
     });
   } catch (error) {
@@ -349,54 +427,63 @@ exports.getBrowseContent = async (req, res) => {
   }
 };
 
-// @desc    Search content with filters
+// @desc    Search content with multi-select filters and facet counts
 // @route   GET /api/content/search
 // @access  Private
 exports.searchContent = async (req, res) => {
   try {
     const {
       searchTerm,
-      genre = 'All Genres',
-      language = 'All Languages',
-      sortBy = 'popularity',
+      genre,
+      language,
+      decade,
+      rating,
+      sortBy,
       type,
+      ignorePreferences,
       page = 1,
       limit = 20
     } = req.query;
     
-    // Build the query object with AND logic
-    const query = {};
-    
-    // Add type filter if specified
-    if (type && ['movie', 'tv'].includes(type)) {
-      query.type = type;
-    }
-    
-    // Add search term filter
-    if (searchTerm && searchTerm.trim() !== '') {
-      query.$or = [
-        { title: { $regex: searchTerm, $options: 'i' } },
-        { overview: { $regex: searchTerm, $options: 'i' } }
-      ];
-    }
-    
-    // Add genre filter - FIXED to only use the correct path
-    if (genre && genre !== 'All Genres') {
-      // Only search in the name field of genres array objects
-      query['genres.name'] = genre;
+    // A repeated ?searchTerm= arrives as an array
+    if (searchTerm !== undefined && typeof searchTerm !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a single search term'
+      });
     }
     
-    // Add language filter
-    if (language && language !== 'All Languages') {
-      query.original_language = language;
-    }
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    
+    // Base query: full-text search (supports "phrases" and -exclusions)
+    const baseQuery = searchTerm && searchTerm.trim() !== ''
+      ? searchService.buildSearchQuery(searchTerm) || {}
+      : {};
+    const isTextSearch = !!baseQuery.$text;
+    
+    // Facet filters - several values per facet are OR'ed together
+    const selectedGenres = searchService.parseMultiValue(genre);
+    const selectedTypes = searchService.parseMultiValue(type);
+    const facetMatches = searchService.buildFacetMatches({
+      genres: selectedGenres,
+      types: selectedTypes,
+      languages: searchService.parseMultiValue(language),
+      decades: searchService.parseMultiValue(decade),
+      ratings: searchService.parseMultiValue(rating)
+    });
     
-    // Log the query for debugging
-    console.log('Search query:', JSON.stringify(query, null, 2));
+    // Profile's preferred types and excluded genres, unless the request picks its own
+    const preferenceFilter = ignorePreferences === 'true'
+      ? {}
+      : preferenceService.getContentFilter(req.profile, { types: selectedTypes, genres: selectedGenres });
+    const allFilters = Object.values(facetMatches);
+    const filterStage = allFilters.length > 0 ? [{ $match: { $and: allFilters } }] : [];
     
-    // Determine sort order
+    // Determine sort order (relevance by default when searching by text)
+    const sort = sortBy || (isTextSearch ? 'Relevance' : 'popularity');
     let sortOptions = {};
-    switch(sortBy) {
+    switch(sort) {
       case 'Title':
         sortOptions = { title: 1 };
         break;
@@ -406,37 +493,112 @@ exports.searchContent = async (req, res) => {
       case 'Rating':
         sortOptions = { voteAverage: -1 };
         break;
+      case 'Relevance':
+        sortOptions = isTextSearch
+          ? { score: -1, popularity: -1 }
+          : { popularity: -1 };
+        break;
       default:
         // Default to 'Suggestions For You' (popularity)
         sortOptions = { popularity: -1 };
     }
+    sortOptions._id = 1; // Stable order across pages
     
     // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Execute the query
-    const content = await Content.find(query)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('title overview posterPath backdropPath type releaseDate voteAverage genres');
+    const skip = (pageNum - 1) * limitNum;
+    
+    // One round trip: the page of results, the total and every facet's counts
+    const [result] = await Content.aggregate([
+      { $match: { ...baseQuery, ...maturityService.getContentFilter(req.profile), ...preferenceFilter } },
+      ...(isTextSearch ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          results: [
+            ...filterStage,
+            { $sort: sortOptions },
+            { $skip: skip },
+            { $limit: limitNum },
+            {
+              $project: {
+                title: 1,
+                overview: 1,
+                posterPath: 1,
+                backdropPath: 1,
+                type: 1,
+                releaseDate: 1,
+                voteAverage: 1,
+                genres: 1,
+                original_language: 1,
+                ...(isTextSearch ? { score: 1 } : {})
+              }
+            }
+          ],
+          total: [
+            ...filterStage,
+            { $count: 'count' }
+          ],
+          ...searchService.buildFacetStages(facetMatches)
+        }
+      }
+    ]);
     
-    // Get total count for pagination
-    const total = await Content.countDocuments(query);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
     
     res.status(200).json({
       success: true,
-      count: content.length,
+      count: result.results.length,
       total,
-      page: parseInt(page),
-      pages: Math.ceil(total / parseInt(limit)),
-      data: content
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: result.results,
+      facets: {
+        genres: result.genres,
+        types: result.types,
+        languages: result.languages,
+        decades: result.decades,
+        ratings: searchService.formatRatingFacet(result.ratings)
+      }
     });
   } catch (error) {
     console.error('Error searching content:', error);
     res.status(500).json({
       success: false,
-      message: 'Server Error: ' + error.message
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Autocomplete titles, people and genres (typo tolerant)
+// @route   GET /api/content/suggest
+// @access  Private
+exports.getSuggestions = async (req, res) => {
+  try {
+    const { q = '', type, limit = 5 } = req.query;
+    
+    // A repeated ?q= arrives as an array
+    if (typeof q !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a single search query'
+      });
+    }
+    
+    const suggestions = await suggestService.suggest(q, {
+      limit: Math.min(Math.max(parseInt(limit) || 5, 1), 20),
+      type: ['movie', 'tv'].includes(type) ? type : null,
+      profile: req.profile
+    });
+    
+    res.status(200).json({
+      success: true,
+      query: q,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
     });
   }
 };
@@ -511,7 +673,19 @@ exports.createContent = async (req, res) => {
       crew,
       seasons,
       keywords,
-      featured
+      featured,
+      original_language,
+      spokenLanguages,
+      productionCountries,
+      certifications,
+      certification,
+      status,
+      tagline,
+      budget,
+      revenue,
+      networks,
+      numberOfSeasons,
+      numberOfEpisodes
     } = req.body;
     
     // Check if content already exists
@@ -543,6 +717,18 @@ exports.createContent = async (req, res) => {
       seasons,
       keywords,
       featured,
+      original_language,
+      spokenLanguages,
+      productionCountries,
+      certifications,
+      certification,
+      status,
+      tagline,
+      budget,
+      revenue,
+      networks,
+      numberOfSeasons,
+      numberOfEpisodes,
       addedAt: new Date(),
       updatedAt: new Date()
     });
@@ -567,21 +753,23 @@ exports.getAllMovieContent = async (req, res) => {
   try {
     const limit = req.query.limit || 10;
     
+    const baseQuery = { type: 'movie', ...maturityService.getContentFilter(req.profile) };
+    
     // Fetch all content categories but only for movies
     const [featured, newest, popular, mostReviewed, highestRated] = await Promise.all([
-      Content.find({ type: 'movie', featured: true })
+      Content.find({ ...baseQuery, featured: true })
         .select('title overview backdropPath posterPath type releaseDate voteAverage')
         .limit(parseInt(limit)),
-      Content.find({ type: 'movie' })
+      Content.find(baseQuery)
         .sort({ releaseDate: -1 })
         .limit(parseInt(limit))
         .select('title posterPath backdropPath type releaseDate voteAverage'),
-      Content.find({ type: 'movie' })
+      Content.find(baseQuery)
         .sort({ popularity: -1 })
         .limit(parseInt(limit))
         .select('title posterPath backdropPath type releaseDate voteAverage popularity'),
-      getContentWithReviews({ type: 'movie' }, parseInt(limit)),
-      getContentWithReviews({ type: 'movie' }, parseInt(limit))
+      getContentWithReviews(baseQuery, parseInt(limit)),
+      getContentWithReviews(baseQuery, parseInt(limit))
     ]);
     
     // Sort and filter highest rated content
@@ -637,21 +825,23 @@ exports.getAllTVContent = async (req, res) => {
   try {
     const limit = req.query.limit || 10;
     
+    const baseQuery = { type: 'tv', ...maturityService.getContentFilter(req.profile) };
+    
     // Fetch all content categories but only for TV shows
     const [featured, newest, popular, mostReviewed, highestRated] = await Promise.all([
-      Content.find({ type: 'tv', featured: true })
+      Content.find({ ...baseQuery, featured: true })
         .select('title overview backdropPath posterPath type releaseDate voteAverage')
         .limit(parseInt(limit)),
-      Content.find({ type: 'tv' })
+      Content.find(baseQuery)
         .sort({ releaseDate: -1 })
         .limit(parseInt(limit))
         .select('title posterPath backdropPath type releaseDate voteAverage'),
-      Content.find({ type: 'tv' })
+      Content.find(baseQuery)
         .sort({ popularity: -1 })
         .limit(parseInt(limit))
         .select('title posterPath backdropPath type releaseDate voteAverage popularity'),
-      getContentWithReviews({ type: 'tv' }, parseInt(limit)),
-      getContentWithReviews({ type: 'tv' }, parseInt(limit))
+      getContentWithReviews(baseQuery, parseInt(limit)),
+      getContentWithReviews(baseQuery, parseInt(limit))
     ]);
     
     // Sort and filter highest rated content
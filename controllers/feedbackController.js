@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const Content = require('../models/Content');
+const ContentFeedback = require('../models/ContentFeedback');
+const feedbackService = require('../services/feedbackService');
+
+// @desc    Get the titles a profile dismissed or gave a thumbs-down
+// @route   GET /api/recommendations/:profileId/feedback
+// @access  Private
+exports.getFeedback = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { type, page = 1, limit = 20 } = req.query;
+    
+    if (type && !feedbackService.FEEDBACK_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${feedbackService.FEEDBACK_TYPES.join(', ')}`
+      });
+    }
+    
+    // Verify profile exists and belongs to user
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const query = { profile: profile._id, ...(type ? { type } : {}) };
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    
+    const [feedback, total] = await Promise.all([
+      ContentFeedback.find(query)
+        .populate('content', 'title posterPath backdropPath type releaseDate voteAverage genres')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ContentFeedback.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: feedback.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: feedback.map(item => ({
+        content: item.content,
+        type: item.type,
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Dismiss a title ("Not interested") or give it a thumbs-down; replaces earlier feedback on it
+// @route   POST /api/recommendations/:profileId/feedback
+// @access  Private
+exports.addFeedback = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { contentId, type = 'not_interested' } = req.body || {};
+    
+    if (!contentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide content ID'
+      });
+    }
+    
+    if (!feedbackService.FEEDBACK_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${feedbackService.FEEDBACK_TYPES.join(', ')}`
+      });
+    }
+    
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const content = mongoose.Types.ObjectId.isValid(contentId)
+      ? await Content.findById(contentId).select('title')
+      : null;
+    
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+    
+    // Upsert so repeating the request (or switching type) never duplicates
+    const now = new Date();
+    const previous = await ContentFeedback.findOneAndUpdate(
+      { profile: profile._id, content: content._id },
+      {
+        $set: { type, updatedAt: now },
+        $setOnInsert: { user: req.user._id, createdAt: now }
+      },
+      { upsert: true }
+    );
+    
+    res.status(previous ? 200 : 201).json({
+      success: true,
+      data: {
+        content: content._id,
+        title: content.title,
+        type,
+        previousType: previous ? previous.type : null
+      }
+    });
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Undo a dismissal or thumbs-down so the title can be recommended again
+// @route   DELETE /api/recommendations/:profileId/feedback/:contentId
+// @access  Private
+exports.removeFeedback = async (req, res) => {
+  try {
+    const { profileId, contentId } = req.params;
+    
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const feedback = mongoose.Types.ObjectId.isValid(contentId)
+      ? await ContentFeedback.findOneAndDelete({ profile: profile._id, content: contentId })
+      : null;
+    
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'No feedback found for this title'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        content: feedback.content,
+        type: feedback.type
+      }
+    });
+  } catch (error) {
+    console.error('Error removing feedback:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
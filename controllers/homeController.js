@@ -0,0 +1,38 @@
+const Profile = require('../models/Profile');
+const homeService = require('../services/homeService');
+
+// @desc    Get a profile's homepage rows in the configured layout
+// @route   GET /api/home/:profileId
+// @access  Private
+exports.getHome = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    
+    // Verify profile exists and belongs to user
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const home = await homeService.buildHome(profile);
+    
+    res.status(200).json({
+      success: true,
+      count: home.rows.length,
+      data: home
+    });
+  } catch (error) {
+    console.error('Error building homepage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
@@ -0,0 +1,944 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CustomList = require('../models/CustomList');
+const Content = require('../models/Content');
+const maturityService = require('../services/maturityService');
+const myListService = require('../services/myListService');
+
+// Id standing for the profile's My List in list and item routes
+const DEFAULT_LIST_ID = 'default';
+
+// Content fields returned with list entries
+const LIST_CONTENT_FIELDS = 'title overview posterPath backdropPath type releaseDate voteAverage genres';
+
+const MAX_LISTS_PER_PROFILE = parseInt(process.env.MAX_LISTS_PER_PROFILE) || 50;
+const MAX_LIST_ITEMS = parseInt(process.env.MAX_LIST_ITEMS) || 500;
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// 128 random bits, URL-safe
+const generateShareSlug = () => crypto.randomBytes(16).toString('base64url');
+
+const getShareUrl = (slug) => `${CLIENT_URL}/shared/lists/${slug}`;
+
+// Load one of the active profile's lists.
+// Returns the list, or null if a response was already sent.
+const findList = async (req, res, listId = req.params.listId) => {
+  // My List only supports reading and its item routes
+  if (listId === DEFAULT_LIST_ID) {
+    res.status(400).json({
+      success: false,
+      message: 'My List cannot be renamed, deleted or shared'
+    });
+    return null;
+  }
+
+  const list = mongoose.Types.ObjectId.isValid(listId)
+    ? await CustomList.findOne({ _id: listId, profile: req.profile._id })
+    : null;
+
+  if (!list) {
+    res.status(404).json({
+      success: false,
+      message: 'List not found'
+    });
+    return null;
+  }
+
+  return list;
+};
+
+// Load a title the active profile is allowed to add to a list.
+// Returns the content, or null if a response was already sent.
+const findContent = async (req, res, contentId) => {
+  if (!contentId) {
+    res.status(400).json({
+      success: false,
+      message: 'Please provide content ID'
+    });
+    return null;
+  }
+
+  const content = mongoose.Types.ObjectId.isValid(contentId)
+    ? await Content.findById(contentId)
+    : null;
+
+  if (!content) {
+    res.status(404).json({
+      success: false,
+      message: 'Content not found'
+    });
+    return null;
+  }
+
+  if (!maturityService.isAllowed(req.profile, content)) {
+    res.status(403).json({
+      success: false,
+      message: 'This title is not available for this profile'
+    });
+    return null;
+  }
+
+  return content;
+};
+
+const hasItem = (list, contentId) => list.items.some(item => item.content.toString() === contentId.toString());
+
+const isMyList = (req) => req.params.listId === DEFAULT_LIST_ID;
+
+// Summary of My List in the shape of a custom list
+const summarizeMyList = (profile) => ({
+  _id: DEFAULT_LIST_ID,
+  name: 'My List',
+  isDefault: true,
+  itemCount: profile.myList.length
+});
+
+const summarizeList = (list) => ({
+  _id: list._id,
+  name: list.name,
+  description: list.description,
+  position: list.position,
+  itemCount: list.items.length,
+  shareSlug: list.shareSlug || null,
+  shareUrl: list.shareSlug ? getShareUrl(list.shareSlug) : null,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt
+});
+
+// @desc    Get a profile's lists (My List first, then custom lists in order)
+// @route   GET /api/lists/:profileId
+// @access  Private
+exports.getLists = async (req, res) => {
+  try {
+    const lists = await CustomList.find({ profile: req.profile._id })
+      .sort({ position: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      data: [
+        summarizeMyList(req.profile),
+        ...lists.map(summarizeList)
+      ]
+    });
+  } catch (error) {
+    console.error('Error fetching lists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Create a list
+// @route   POST /api/lists/:profileId
+// @access  Private
+exports.createList = async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name for the list'
+      });
+    }
+
+    const count = await CustomList.countDocuments({ profile: req.profile._id });
+    if (count >= MAX_LISTS_PER_PROFILE) {
+      return res.status(400).json({
+        success: false,
+        message: `You have reached the maximum number of lists (${MAX_LISTS_PER_PROFILE})`
+      });
+    }
+
+    const last = await CustomList.findOne({ profile: req.profile._id }).sort({ position: -1 });
+
+    const list = await CustomList.create({
+      user: req.user._id,
+      profile: req.profile._id,
+      name: name.trim(),
+      description,
+      position: last ? last.position + 1 : 0
+    });
+
+    res.locals.audit = {
+      details: `Created list (${req.profile.name}): ${list.name}`,
+      targetType: 'CustomList',
+      targetId: list._id,
+      after: summarizeList(list)
+    };
+
+    res.status(201).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    console.error('Error creating list:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A list with this name already exists for this profile'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Reorder a profile's lists
+// @route   PATCH /api/lists/:profileId/order
+// @access  Private
+exports.reorderLists = async (req, res) => {
+  try {
+    const { listIds } = req.body || {};
+
+    if (!Array.isArray(listIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the list IDs in their new order'
+      });
+    }
+
+    const lists = await CustomList.find({ profile: req.profile._id }).select('_id');
+    const existingIds = new Set(lists.map(list => list._id.toString()));
+    const requestedIds = new Set(listIds.map(String));
+
+    // The new order has to mention every list exactly once
+    if (requestedIds.size !== listIds.length ||
+        requestedIds.size !== existingIds.size ||
+        ![...requestedIds].every(id => existingIds.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new order must contain each of the profile\'s lists exactly once'
+      });
+    }
+
+    if (listIds.length > 0) {
+      await CustomList.bulkWrite(listIds.map((id, position) => ({
+        updateOne: {
+          filter: { _id: id, profile: req.profile._id },
+          update: { $set: { position } }
+        }
+      })));
+    }
+
+    res.locals.audit = {
+      details: `Reordered lists (${req.profile.name})`,
+      targetType: 'Profile',
+      targetId: req.profile._id,
+      after: { listIds }
+    };
+
+    res.status(200).json({
+      success: true,
+      data: listIds
+    });
+  } catch (error) {
+    console.error('Error reordering lists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get a list with its titles
+// @route   GET /api/lists/:profileId/:listId
+// @access  Private
+exports.getList = async (req, res) => {
+  try {
+    if (isMyList(req)) {
+      // Titles above the profile's maturity level are left out
+      await req.profile.populate({
+        path: 'myList.content',
+        select: LIST_CONTENT_FIELDS,
+        match: maturityService.getContentFilter(req.profile)
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...summarizeMyList(req.profile),
+          items: req.profile.myList
+            .filter(entry => entry.content)
+            .sort((a, b) => a.position - b.position)
+            .map(entry => ({ content: entry.content, note: entry.note, addedAt: entry.addedAt }))
+        }
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    // Titles above the profile's maturity level are left out
+    await list.populate({
+      path: 'items.content',
+      select: LIST_CONTENT_FIELDS,
+      match: maturityService.getContentFilter(req.profile)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...summarizeList(list),
+        items: list.items.filter(item => item.content)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Rename a list or change its description
+// @route   PATCH /api/lists/:profileId/:listId
+// @access  Private
+exports.updateList = async (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+
+    if (name === undefined && description === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name or description for the list'
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'List name cannot be empty'
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const before = summarizeList(list);
+
+    if (name !== undefined) list.name = name.trim();
+    if (description !== undefined) list.description = description;
+    list.updatedAt = Date.now();
+
+    await list.save();
+
+    res.locals.audit = {
+      details: `Updated list (${req.profile.name}): ${list.name}`,
+      targetType: 'CustomList',
+      targetId: list._id,
+      before,
+      after: summarizeList(list)
+    };
+
+    res.status(200).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    console.error('Error updating list:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A list with this name already exists for this profile'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Delete a list
+// @route   DELETE /api/lists/:profileId/:listId
+// @access  Private
+exports.deleteList = async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+
+    await list.deleteOne();
+
+    res.locals.audit = {
+      details: `Deleted list (${req.profile.name}): ${list.name}`,
+      targetType: 'CustomList',
+      targetId: list._id,
+      before: list
+    };
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Error deleting list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Add a title to a list
+// @route   POST /api/lists/:profileId/:listId/items
+// @access  Private
+exports.addListItem = async (req, res) => {
+  try {
+    const { contentId, note } = req.body || {};
+
+    if (isMyList(req)) {
+      const content = await findContent(req, res, contentId);
+      if (!content) return;
+
+      const [result] = await myListService.addItems(req.profile, [content._id], { note });
+
+      if (result.status === 'already_in_list') {
+        return res.status(400).json({
+          success: false,
+          message: 'Content already in this list'
+        });
+      }
+
+      res.locals.audit = {
+        details: `Added to My List (${req.profile.name}): ${content.title}`,
+        targetType: 'Content',
+        targetId: content._id
+      };
+
+      return res.status(200).json({
+        success: true,
+        message: 'Content added to My List',
+        data: await myListService.getSummary(req.profile._id)
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const content = await findContent(req, res, contentId);
+    if (!content) return;
+
+    if (hasItem(list, content._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content already in this list'
+      });
+    }
+
+    if (list.items.length >= MAX_LIST_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A list can hold at most ${MAX_LIST_ITEMS} titles`
+      });
+    }
+
+    list.items.push({ content: content._id, note });
+    list.updatedAt = Date.now();
+    await list.save();
+
+    res.locals.audit = {
+      details: `Added to list ${list.name} (${req.profile.name}): ${content.title}`,
+      targetType: 'Content',
+      targetId: content._id
+    };
+
+    res.status(200).json({
+      success: true,
+      message: `Content added to ${list.name}`,
+      data: list
+    });
+  } catch (error) {
+    console.error('Error adding to list:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Edit the note on a list entry
+// @route   PATCH /api/lists/:profileId/:listId/items/:contentId
+// @access  Private
+exports.updateListItem = async (req, res) => {
+  try {
+    const { note } = req.body || {};
+
+    if (note === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a note'
+      });
+    }
+
+    if (isMyList(req)) {
+      const entry = await myListService.setNote(req.profile, req.params.contentId, note || '');
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not in this list'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: entry
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const item = list.items.find(entry => entry.content.toString() === req.params.contentId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not in this list'
+      });
+    }
+
+    item.note = note || '';
+    list.updatedAt = Date.now();
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    console.error('Error updating list entry:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Remove a title from a list
+// @route   DELETE /api/lists/:profileId/:listId/items/:contentId
+// @access  Private
+exports.removeListItem = async (req, res) => {
+  try {
+    const { contentId } = req.params;
+
+    if (isMyList(req)) {
+      const [result] = await myListService.removeItems(req.profile, [contentId]);
+
+      if (result.status !== 'removed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Content not in this list'
+        });
+      }
+
+      res.locals.audit = {
+        details: `Removed from My List (${req.profile.name}): ${contentId}`,
+        targetType: 'Content',
+        targetId: contentId
+      };
+
+      return res.status(200).json({
+        success: true,
+        message: 'Content removed from My List',
+        data: await myListService.getSummary(req.profile._id)
+      });
+    }
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    if (!hasItem(list, contentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content not in this list'
+      });
+    }
+
+    list.items = list.items.filter(item => item.content.toString() !== contentId);
+    list.updatedAt = Date.now();
+    await list.save();
+
+    res.locals.audit = {
+      details: `Removed from list ${list.name} (${req.profile.name}): ${contentId}`,
+      targetType: 'Content',
+      targetId: contentId
+    };
+
+    res.status(200).json({
+      success: true,
+      message: `Content removed from ${list.name}`,
+      data: list
+    });
+  } catch (error) {
+    console.error('Error removing from list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Move a title to another list ("default" is My List)
+// @route   POST /api/lists/:profileId/:listId/items/:contentId/move
+// @access  Private
+exports.moveListItem = async (req, res) => {
+  try {
+    const { listId, contentId } = req.params;
+    const { toListId } = req.body || {};
+    const profile = req.profile;
+
+    if (!toListId || toListId === listId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a different list to move the content to'
+      });
+    }
+
+    const source = listId === DEFAULT_LIST_ID ? null : await findList(req, res, listId);
+    if (listId !== DEFAULT_LIST_ID && !source) return;
+
+    const target = toListId === DEFAULT_LIST_ID ? null : await findList(req, res, toListId);
+    if (toListId !== DEFAULT_LIST_ID && !target) return;
+
+    const sourceItem = source
+      ? source.items.find(item => item.content.toString() === contentId)
+      : profile.myList.find(entry => entry.content.toString() === contentId);
+
+    if (!sourceItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not in this list'
+      });
+    }
+
+    // Add to the target first, so a failure never loses the title
+    if (target) {
+      if (!hasItem(target, contentId)) {
+        if (target.items.length >= MAX_LIST_ITEMS) {
+          return res.status(400).json({
+            success: false,
+            message: `A list can hold at most ${MAX_LIST_ITEMS} titles`
+          });
+        }
+        target.items.push({ content: contentId, note: sourceItem.note || '' });
+        target.updatedAt = Date.now();
+        await target.save();
+      }
+    } else {
+      const [result] = await myListService.addItems(profile, [contentId], { note: sourceItem.note || '' });
+
+      if (result.status === 'invalid_id' || result.status === 'not_found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found'
+        });
+      }
+
+      if (result.status === 'not_allowed') {
+        return res.status(403).json({
+          success: false,
+          message: 'This title is not available for this profile'
+        });
+      }
+    }
+
+    if (source) {
+      source.items = source.items.filter(item => item.content.toString() !== contentId);
+      source.updatedAt = Date.now();
+      await source.save();
+    } else {
+      await myListService.removeItems(profile, [contentId]);
+    }
+
+    const sourceName = source ? source.name : 'My List';
+    const targetName = target ? target.name : 'My List';
+
+    res.locals.audit = {
+      details: `Moved ${contentId} from ${sourceName} to ${targetName} (${profile.name})`,
+      targetType: 'Content',
+      targetId: contentId,
+      before: { list: source ? source._id : DEFAULT_LIST_ID },
+      after: { list: target ? target._id : DEFAULT_LIST_ID }
+    };
+
+    res.status(200).json({
+      success: true,
+      message: `Content moved to ${targetName}`
+    });
+  } catch (error) {
+    console.error('Error moving list entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// Pick a name for a cloned list that doesn't clash with the profile's lists
+const getAvailableListName = async (profileId, name) => {
+  const lists = await CustomList.find({ profile: profileId }).select('name');
+  const taken = new Set(lists.map(list => list.name));
+
+  if (!taken.has(name)) return name;
+
+  for (let i = 2; ; i++) {
+    const suffix = ` (${i})`;
+    const candidate = name.slice(0, 50 - suffix.length) + suffix;
+    if (!taken.has(candidate)) return candidate;
+  }
+};
+
+// @desc    Publish a list to a read-only link (or regenerate the link)
+// @route   POST /api/lists/:profileId/:listId/share
+// @access  Private
+exports.shareList = async (req, res) => {
+  try {
+    const regenerate = !!(req.body && req.body.regenerate);
+
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const previousSlug = list.shareSlug || null;
+
+    // Sharing again keeps the existing link unless a new one is asked for
+    if (!previousSlug || regenerate) {
+      list.shareSlug = generateShareSlug();
+      list.sharedAt = new Date();
+      await list.save();
+
+      res.locals.audit = {
+        details: `${previousSlug ? 'Regenerated share link for' : 'Shared'} list (${req.profile.name}): ${list.name}`,
+        targetType: 'CustomList',
+        targetId: list._id,
+        before: { shared: !!previousSlug },
+        after: { shared: true }
+      };
+    } else {
+      res.locals.audit = { skip: true };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shareSlug: list.shareSlug,
+        shareUrl: getShareUrl(list.shareSlug),
+        sharedAt: list.sharedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error sharing list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Revoke a list's share link
+// @route   DELETE /api/lists/:profileId/:listId/share
+// @access  Private
+exports.unshareList = async (req, res) => {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+
+    if (!list.shareSlug) {
+      return res.status(400).json({
+        success: false,
+        message: 'This list is not shared'
+      });
+    }
+
+    list.shareSlug = undefined;
+    list.sharedAt = null;
+    await list.save();
+
+    res.locals.audit = {
+      details: `Stopped sharing list (${req.profile.name}): ${list.name}`,
+      targetType: 'CustomList',
+      targetId: list._id,
+      before: { shared: true },
+      after: { shared: false }
+    };
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    View a shared list
+// @route   GET /api/shared/lists/:slug
+// @access  Public
+exports.getSharedList = async (req, res) => {
+  try {
+    const list = await CustomList.findOne({ shareSlug: req.params.slug })
+      .populate('profile', 'name avatar')
+      .populate('items.content', LIST_CONTENT_FIELDS);
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'This list is not shared or the link has been revoked'
+      });
+    }
+
+    // Only what the link is meant to show: no account or profile ids
+    res.status(200).json({
+      success: true,
+      data: {
+        name: list.name,
+        description: list.description,
+        sharedBy: list.profile ? { name: list.profile.name, avatar: list.profile.avatar } : null,
+        sharedAt: list.sharedAt,
+        updatedAt: list.updatedAt,
+        itemCount: list.items.filter(item => item.content).length,
+        items: list.items
+          .filter(item => item.content)
+          .map(item => ({
+            content: item.content,
+            note: item.note,
+            addedAt: item.addedAt
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching shared list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Copy a shared list into the active profile
+// @route   POST /api/shared/lists/:slug/clone
+// @access  Private
+exports.cloneSharedList = async (req, res) => {
+  try {
+    const shared = await CustomList.findOne({ shareSlug: req.params.slug })
+      .populate('items.content', 'maturityLevel');
+
+    if (!shared) {
+      return res.status(404).json({
+        success: false,
+        message: 'This list is not shared or the link has been revoked'
+      });
+    }
+
+    const count = await CustomList.countDocuments({ profile: req.profile._id });
+    if (count >= MAX_LISTS_PER_PROFILE) {
+      return res.status(400).json({
+        success: false,
+        message: `You have reached the maximum number of lists (${MAX_LISTS_PER_PROFILE})`
+      });
+    }
+
+    // Titles that were deleted or are above the profile's maturity level are skipped
+    const items = shared.items
+      .filter(item => item.content && maturityService.isAllowed(req.profile, item.content))
+      .map(item => ({ content: item.content._id, note: item.note }));
+
+    const requestedName = req.body && req.body.name;
+    if (requestedName !== undefined && typeof requestedName !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'List name must be text'
+      });
+    }
+
+    const last = await CustomList.findOne({ profile: req.profile._id }).sort({ position: -1 });
+    const name = (requestedName && requestedName.trim()) || shared.name;
+
+    const list = await CustomList.create({
+      user: req.user._id,
+      profile: req.profile._id,
+      name: await getAvailableListName(req.profile._id, name),
+      description: shared.description,
+      position: last ? last.position + 1 : 0,
+      items,
+      clonedFrom: shared._id
+    });
+
+    res.locals.audit = {
+      details: `Cloned shared list ${shared.name} (${req.profile.name}): ${list.name}`,
+      targetType: 'CustomList',
+      targetId: list._id,
+      after: summarizeList(list)
+    };
+
+    res.status(201).json({
+      success: true,
+      skipped: shared.items.length - items.length,
+      data: list
+    });
+  } catch (error) {
+    console.error('Error cloning shared list:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A list with this name already exists for this profile'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
@@ -1,5 +1,17 @@
 const Profile = require('../models/Profile');
-const Content = require('../models/Content');
+const maturityService = require('../services/maturityService');
+const myListService = require('../services/myListService');
+
+// Sort options for My List, with each one's default direction
+const MY_LIST_SORTS = {
+  custom: { value: entry => entry.position, order: 'asc' },
+  added: { value: entry => entry.addedAt ? entry.addedAt.getTime() : 0, order: 'desc' },
+  title: { value: entry => (entry.content.title || '').toLowerCase(), order: 'asc' },
+  release: { value: entry => entry.content.releaseDate ? entry.content.releaseDate.getTime() : 0, order: 'desc' }
+};
+
+// Content ids in My List order, for audit snapshots
+const getMyListIds = (profile) => profile.myList.map(entry => entry.content);
 
 // @desc    Get a profile's My List
 // @route   GET /api/mylist/:profileId
@@ -7,12 +19,21 @@ const Content = require('../models/Content');
 exports.getMyList = async (req, res) => {
   try {
     const { profileId } = req.params;
+    const { sortBy = 'custom', order, page, limit } = req.query;
+    
+    const sort = Object.prototype.hasOwnProperty.call(MY_LIST_SORTS, sortBy) ? MY_LIST_SORTS[sortBy] : null;
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(MY_LIST_SORTS).join(', ')}`
+      });
+    }
     
     // Verify profile exists and belongs to user
     const profile = await Profile.findOne({
       _id: profileId,
       user: req.user._id
-    }).populate('myList');
+    });
     
     if (!profile) {
       return res.status(404).json({
@@ -21,10 +42,40 @@ exports.getMyList = async (req, res) => {
       });
     }
     
+    // Titles above the profile's maturity level are left out
+    await profile.populate({
+      path: 'myList.content',
+      match: maturityService.getContentFilter(profile)
+    });
+    
+    const direction = (order || sort.order) === 'desc' ? -1 : 1;
+    const entries = profile.myList
+      .filter(entry => entry.content)
+      .sort((a, b) => {
+        const valueA = sort.value(a);
+        const valueB = sort.value(b);
+        if (valueA === valueB) return a.position - b.position;
+        return (valueA < valueB ? -1 : 1) * direction;
+      });
+    
+    // Whole list unless a page size is asked for
+    const total = entries.length;
+    const limitNum = limit ? Math.min(Math.max(parseInt(limit) || 20, 1), 100) : total || 1;
+    const pageNum = limit ? Math.max(parseInt(page) || 1, 1) : 1;
+    const pageEntries = entries.slice((pageNum - 1) * limitNum, pageNum * limitNum);
+    
     res.status(200).json({
       success: true,
-      count: profile.myList.length,
-      data: profile.myList
+      count: pageEntries.length,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum),
+      data: pageEntries.map(entry => ({
+        ...entry.content.toObject(),
+        note: entry.note,
+        addedAt: entry.addedAt,
+        position: entry.position
+      }))
     });
   } catch (error) {
     console.error('Error fetching My List:', error);
@@ -35,13 +86,13 @@ exports.getMyList = async (req, res) => {
   }
 };
 
-// @desc    Add content to My List
+// @desc    Add content to My List (adding a title already there is a no-op)
 // @route   POST /api/mylist/:profileId
 // @access  Private
 exports.addToMyList = async (req, res) => {
   try {
     const { profileId } = req.params;
-    const { contentId } = req.body;
+    const { contentId } = req.body || {};
     
     if (!contentId) {
       return res.status(400).json({
@@ -50,14 +101,151 @@ exports.addToMyList = async (req, res) => {
       });
     }
     
-    const content = await Content.findById(contentId);
-    if (!content) {
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const [result] = await myListService.addItems(profile, [contentId]);
+    
+    if (result.status === 'invalid_id' || result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+    
+    if (result.status === 'not_allowed') {
+      return res.status(403).json({
+        success: false,
+        message: 'This title is not available for this profile'
+      });
+    }
+    
+    const added = result.status === 'added';
+    const summary = await myListService.getSummary(profile._id);
+    
+    res.locals.audit = added
+      ? {
+        details: `Added to My List (${profile.name}): ${result.title}`,
+        targetType: 'Content',
+        targetId: contentId,
+        before: { profile: profile._id, myList: getMyListIds(profile) },
+        after: { profile: profile._id, myList: summary.items.map(entry => entry.content) }
+      }
+      : { skip: true };
+    
+    res.status(200).json({
+      success: true,
+      added,
+      message: added ? 'Content added to My List' : 'Content already in My List',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error adding to My List:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Remove content from My List (removing a title not there is a no-op)
+// @route   DELETE /api/mylist/:profileId/:contentId
+// @access  Private
+exports.removeFromMyList = async (req, res) => {
+  try {
+    const { profileId, contentId } = req.params;
+    
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const [result] = await myListService.removeItems(profile, [contentId]);
+    
+    if (result.status === 'invalid_id') {
       return res.status(404).json({
         success: false,
         message: 'Content not found'
       });
     }
     
+    const removed = result.status === 'removed';
+    const summary = await myListService.getSummary(profile._id);
+    
+    res.locals.audit = removed
+      ? {
+        details: `Removed from My List (${profile.name}): ${contentId}`,
+        targetType: 'Content',
+        targetId: contentId,
+        before: { profile: profile._id, myList: getMyListIds(profile) },
+        after: { profile: profile._id, myList: summary.items.map(entry => entry.content) }
+      }
+      : { skip: true };
+    
+    res.status(200).json({
+      success: true,
+      removed,
+      message: removed ? 'Content removed from My List' : 'Content not in My List',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error removing from My List:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// Validate the contentIds of a bulk request, returns an error message or null
+const validateBulkIds = (contentIds) => {
+  if (!Array.isArray(contentIds) || contentIds.length === 0) {
+    return 'Please provide an array of content IDs';
+  }
+  if (contentIds.length > myListService.MAX_BULK_ITEMS) {
+    return `At most ${myListService.MAX_BULK_ITEMS} titles can be changed at once`;
+  }
+  return null;
+};
+
+// Count per-item results by status
+const countResults = (results) => results.reduce((acc, result) => {
+  acc[result.status] = (acc[result.status] || 0) + 1;
+  return acc;
+}, {});
+
+// @desc    Add several titles to My List
+// @route   POST /api/mylist/:profileId/bulk/add
+// @access  Private
+exports.bulkAddToMyList = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { contentIds } = req.body || {};
+    
+    const validationError = validateBulkIds(contentIds);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+    
     const profile = await Profile.findOne({
       _id: profileId,
       user: req.user._id
@@ -70,23 +258,81 @@ exports.addToMyList = async (req, res) => {
       });
     }
     
-    if (profile.myList.includes(contentId)) {
+    const results = await myListService.addItems(profile, contentIds);
+    const counts = countResults(results);
+    
+    res.locals.audit = counts.added
+      ? {
+        details: `Added ${counts.added} title(s) to My List (${profile.name})`,
+        targetType: 'Profile',
+        targetId: profile._id,
+        after: { added: results.filter(result => result.status === 'added').map(result => result.contentId) }
+      }
+      : { skip: true };
+    
+    res.status(200).json({
+      success: true,
+      counts,
+      results,
+      data: await myListService.getSummary(profile._id)
+    });
+  } catch (error) {
+    console.error('Error bulk adding to My List:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Remove several titles from My List
+// @route   POST /api/mylist/:profileId/bulk/remove
+// @access  Private
+exports.bulkRemoveFromMyList = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { contentIds } = req.body || {};
+    
+    const validationError = validateBulkIds(contentIds);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Content already in My List'
+        message: validationError
+      });
+    }
+    
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
       });
     }
     
-    profile.myList.push(contentId);
-    await profile.save();
+    const results = await myListService.removeItems(profile, contentIds);
+    const counts = countResults(results);
+    
+    res.locals.audit = counts.removed
+      ? {
+        details: `Removed ${counts.removed} title(s) from My List (${profile.name})`,
+        targetType: 'Profile',
+        targetId: profile._id,
+        before: { removed: results.filter(result => result.status === 'removed').map(result => result.contentId) }
+      }
+      : { skip: true };
     
     res.status(200).json({
       success: true,
-      message: 'Content added to My List',
-      data: profile
+      counts,
+      results,
+      data: await myListService.getSummary(profile._id)
     });
   } catch (error) {
-    console.error('Error adding to My List:', error);
+    console.error('Error bulk removing from My List:', error);
     res.status(500).json({
       success: false,
       message: 'Server Error'
@@ -94,12 +340,64 @@ exports.addToMyList = async (req, res) => {
   }
 };
 
-// @desc    Remove content from My List
-// @route   DELETE /api/mylist/:profileId/:contentId
+// @desc    Remove every title from My List
+// @route   POST /api/mylist/:profileId/bulk/clear
 // @access  Private
-exports.removeFromMyList = async (req, res) => {
+exports.clearMyList = async (req, res) => {
   try {
-    const { profileId, contentId } = req.params;
+    const { profileId } = req.params;
+    
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const removed = await myListService.clear(profile);
+    
+    res.locals.audit = removed
+      ? {
+        details: `Cleared My List (${profile.name}): ${removed} title(s)`,
+        targetType: 'Profile',
+        targetId: profile._id,
+        before: { myList: getMyListIds(profile) }
+      }
+      : { skip: true };
+    
+    res.status(200).json({
+      success: true,
+      removed,
+      data: await myListService.getSummary(profile._id)
+    });
+  } catch (error) {
+    console.error('Error clearing My List:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Reorder My List (drag and drop)
+// @route   PATCH /api/mylist/:profileId/order
+// @access  Private
+exports.reorderMyList = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { contentIds } = req.body || {};
+    
+    if (!Array.isArray(contentIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the content IDs in their new order'
+      });
+    }
     
     const profile = await Profile.findOne({
       _id: profileId,
@@ -113,26 +411,61 @@ exports.removeFromMyList = async (req, res) => {
       });
     }
     
-    if (!profile.myList.includes(contentId)) {
+    const requestedIds = contentIds.map(String);
+    const uniqueIds = new Set(requestedIds);
+    
+    // The new order has to mention every title in the list exactly once
+    if (uniqueIds.size !== requestedIds.length ||
+        uniqueIds.size !== profile.myList.length ||
+        !profile.myList.every(entry => uniqueIds.has(entry.content.toString()))) {
       return res.status(400).json({
         success: false,
-        message: 'Content not in My List'
+        message: 'The new order must contain each title in My List exactly once'
+      });
+    }
+    
+    // Nothing to reorder ($all below matches nothing for an empty list)
+    if (profile.myList.length === 0) {
+      return res.status(200).json({
+        success: true,
+        data: []
       });
     }
     
-    profile.myList = profile.myList.filter(
-      id => id.toString() !== contentId
-    );
+    const positions = new Map(requestedIds.map((id, index) => [id, index]));
+    const reordered = profile.myList
+      .map(entry => ({
+        content: entry.content,
+        addedAt: entry.addedAt,
+        position: positions.get(entry.content.toString())
+      }))
+      .sort((a, b) => a.position - b.position);
     
-    await profile.save();
+    // Only write if My List still holds exactly these titles, so a title added or
+    // removed since it was read isn't overwritten
+    const updated = await Profile.findOneAndUpdate(
+      {
+        _id: profile._id,
+        myList: { $size: reordered.length },
+        'myList.content': { $all: reordered.map(entry => entry.content) }
+      },
+      { $set: { myList: reordered } },
+      { new: true }
+    ).select('myList');
+    
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'My List changed while it was being reordered, please reload it and try again'
+      });
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Content removed from My List',
-      data: profile
+      data: updated.myList
     });
   } catch (error) {
-    console.error('Error removing from My List:', error);
+    console.error('Error reordering My List:', error);
     res.status(500).json({
       success: false,
       message: 'Server Error'
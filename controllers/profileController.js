@@ -1,5 +1,32 @@
 const Profile = require('../models/Profile');
 const User = require('../models/User');
+const CustomList = require('../models/CustomList');
+const ContentFeedback = require('../models/ContentFeedback');
+const WatchProgress = require('../models/WatchProgress');
+const maturityService = require('../services/maturityService');
+const sessionService = require('../services/sessionService');
+const preferenceService = require('../services/preferenceService');
+
+// Wrong PIN guesses allowed before a profile is locked, and for how long
+const PIN_MAX_ATTEMPTS = parseInt(process.env.PROFILE_PIN_MAX_ATTEMPTS) || 5;
+const PIN_LOCKOUT_MS = (parseInt(process.env.PROFILE_PIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+const isValidPin = (pin) => typeof pin === 'string' && /^\d{4}$/.test(pin);
+
+// Check the account password before changing a PIN or unlocking more mature titles,
+// returns an error message or null
+const verifyAccountPassword = async (userId, password) => {
+  if (!password) {
+    return 'Please provide your account password';
+  }
+
+  const user = await User.findById(userId).select('+password');
+  if (!user || !(await user.matchPassword(password))) {
+    return 'Incorrect password';
+  }
+
+  return null;
+};
 
 // @desc    Get all profiles for a user
 // @route   GET /api/profiles
@@ -43,15 +70,34 @@ exports.createProfile = async (req, res) => {
       });
     }
     
-    const { name } = req.body;
+    const { name, maturityLevel, password } = req.body || {};
     
-    if (!name) {
+    if (typeof name !== 'string' || !name.trim()) {
       return res.status(400).json({
         success: false,
         message: 'Please provide a name for the profile'
       });
     }
     
+    if (maturityLevel !== undefined && !maturityService.LEVELS.includes(maturityLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Maturity level must be one of: ${maturityService.LEVELS.join(', ')}`
+      });
+    }
+    
+    // Only kids profiles can be created without the account password, otherwise a
+    // new profile would get around the password needed to raise a maturity level
+    if ((maturityLevel || 'adult') !== maturityService.LEVELS[0]) {
+      const passwordError = await verifyAccountPassword(req.user._id, password);
+      if (passwordError) {
+        return res.status(401).json({
+          success: false,
+          message: passwordError
+        });
+      }
+    }
+    
     const existingProfile = await Profile.findOne({
       user: req.user._id,
       name: name.trim()
@@ -66,11 +112,19 @@ exports.createProfile = async (req, res) => {
 
     const profile = new Profile({
       user: req.user._id,
-      name: name.trim()
+      name: name.trim(),
+      maturityLevel
     });
     
     await profile.save();
     
+    res.locals.audit = {
+      details: `Created profile: ${profile.name}`,
+      targetType: 'Profile',
+      targetId: profile._id,
+      after: profile
+    };
+    
     res.status(201).json({
       success: true,
       data: profile
@@ -130,32 +184,72 @@ exports.getProfile = async (req, res) => {
 // @access  Private
 exports.updateProfile = async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, maturityLevel, password } = req.body || {};
     
-    if (!name) {
+    if (!name && maturityLevel === undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide a name for the profile'
+        message: 'Please provide a name or maturity level for the profile'
       });
     }
     
-    // Check if another profile with this name already exists for this user
-    const existingProfile = await Profile.findOne({
-      user: req.user._id,
-      name: name.trim(),
-      _id: { $ne: req.params.id }
+    if (maturityLevel !== undefined && !maturityService.LEVELS.includes(maturityLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Maturity level must be one of: ${maturityService.LEVELS.join(', ')}`
+      });
+    }
+    
+    const updates = {};
+    if (maturityLevel !== undefined) updates.maturityLevel = maturityLevel;
+    
+    if (name) {
+      // Check if another profile with this name already exists for this user
+      const existingProfile = await Profile.findOne({
+        user: req.user._id,
+        name: name.trim(),
+        _id: { $ne: req.params.id }
+      });
+      
+      if (existingProfile) {
+        return res.status(400).json({
+          success: false,
+          message: 'A profile with this name already exists for your account'
+        });
+      }
+      
+      updates.name = name.trim();
+    }
+    
+    const previousProfile = await Profile.findOne({
+      _id: req.params.id,
+      user: req.user._id
     });
     
-    if (existingProfile) {
-      return res.status(400).json({
+    if (!previousProfile) {
+      return res.status(404).json({
         success: false,
-        message: 'A profile with this name already exists for your account'
+        message: 'Profile not found or does not belong to you'
       });
     }
     
+    // Unlocking more mature titles (e.g. kids -> teen) needs the account password,
+    // so it can't be done from a kids profile on a signed-in device
+    const levels = maturityService.LEVELS;
+    if (maturityLevel !== undefined &&
+        levels.indexOf(maturityLevel) > levels.indexOf(previousProfile.maturityLevel || 'adult')) {
+      const passwordError = await verifyAccountPassword(req.user._id, password);
+      if (passwordError) {
+        return res.status(401).json({
+          success: false,
+          message: passwordError
+        });
+      }
+    }
+    
     const profile = await Profile.findOneAndUpdate(
       { _id: req.params.id, user: req.user._id },
-      { name: name.trim() },
+      updates,
       { new: true, runValidators: true }
     );
     
@@ -166,6 +260,14 @@ exports.updateProfile = async (req, res) => {
       });
     }
     
+    res.locals.audit = {
+      details: `Updated profile: ${previousProfile.name}`,
+      targetType: 'Profile',
+      targetId: profile._id,
+      before: previousProfile,
+      after: profile
+    };
+    
     res.status(200).json({
       success: true,
       data: profile
@@ -187,6 +289,64 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Update a profile's preferences (only the fields sent are changed)
+// @route   PUT /api/profiles/:id/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const { updates, error } = preferenceService.validatePreferences(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const previousProfile = await Profile.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+    
+    if (!previousProfile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const $set = Object.entries(updates).reduce((acc, [field, value]) => {
+      acc[`preferences.${field}`] = value;
+      return acc;
+    }, {});
+    
+    const profile = await Profile.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set },
+      { new: true, runValidators: true }
+    );
+    
+    res.locals.audit = {
+      details: `Updated preferences for profile: ${profile.name}`,
+      targetType: 'Profile',
+      targetId: profile._id,
+      before: { preferences: previousProfile.preferences },
+      after: { preferences: profile.preferences }
+    };
+    
+    res.status(200).json({
+      success: true,
+      data: profile.preferences
+    });
+  } catch (error) {
+    console.error('Error updating profile preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
 // @desc    Delete a profile
 // @route   DELETE /api/profiles/:id
 // @access  Private
@@ -204,6 +364,18 @@ exports.deleteProfile = async (req, res) => {
       });
     }
     
+    // The profile's lists (and any links sharing them), feedback and watch progress go with it
+    await CustomList.deleteMany({ profile: profile._id });
+    await ContentFeedback.deleteMany({ profile: profile._id });
+    await WatchProgress.deleteMany({ profile: profile._id });
+    
+    res.locals.audit = {
+      details: `Deleted profile: ${profile.name}`,
+      targetType: 'Profile',
+      targetId: profile._id,
+      before: profile
+    };
+    
     res.status(200).json({
       success: true,
       data: {}
@@ -215,4 +387,219 @@ exports.deleteProfile = async (req, res) => {
       message: 'Server Error'
     });
   }
+};
+
+// @desc    Select a profile (verifying its PIN) and get a profile token
+// @route   POST /api/profiles/:id/select
+// @access  Private
+exports.selectProfile = async (req, res) => {
+  try {
+    const profile = await Profile.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    }).select('+pin +pinFailedAttempts +pinLockedUntil');
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    if (profile.pinEnabled) {
+      const now = new Date();
+      
+      // Claim a guess atomically before checking it, so parallel guesses can't
+      // all read the same count and get past the lockout
+      const claimed = await Profile.findOneAndUpdate(
+        {
+          _id: profile._id,
+          $or: [{ pinLockedUntil: null }, { pinLockedUntil: { $lte: now } }],
+          // $nor also matches profiles that have never had a wrong guess stored
+          $nor: [{ pinFailedAttempts: { $gte: PIN_MAX_ATTEMPTS } }]
+        },
+        { $inc: { pinFailedAttempts: 1 } },
+        { new: true }
+      ).select('+pinFailedAttempts');
+      
+      if (!claimed) {
+        const lockedUntil = profile.pinLockedUntil && profile.pinLockedUntil > now
+          ? profile.pinLockedUntil
+          : new Date(now.getTime() + PIN_LOCKOUT_MS);
+        const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many incorrect PINs. Please try again later.',
+          retryAfter
+        });
+      }
+      
+      const { pin } = req.body || {};
+      
+      if (!pin || !(await profile.matchPin(pin))) {
+        // The guess that used up the last attempt locks the profile
+        if (claimed.pinFailedAttempts >= PIN_MAX_ATTEMPTS) {
+          await Profile.updateOne(
+            { _id: profile._id, pinFailedAttempts: { $gte: PIN_MAX_ATTEMPTS } },
+            { $set: { pinFailedAttempts: 0, pinLockedUntil: new Date(Date.now() + PIN_LOCKOUT_MS) } }
+          );
+        }
+        
+        return res.status(401).json({
+          success: false,
+          pinRequired: true,
+          message: pin ? 'Incorrect PIN' : 'This profile is locked with a PIN'
+        });
+      }
+      
+      await Profile.updateOne(
+        { _id: profile._id },
+        { $set: { pinFailedAttempts: 0, pinLockedUntil: null } }
+      );
+    }
+    
+    const profileToken = sessionService.signProfileToken(req.authSession, profile);
+    
+    const cookieOptions = {
+      httpOnly: true,
+      expires: req.authSession.expiresAt
+    };
+    if (process.env.NODE_ENV === 'production') {
+      cookieOptions.secure = true;
+    }
+    res.cookie('profileToken', profileToken, cookieOptions);
+    
+    res.status(200).json({
+      success: true,
+      profileToken,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error selecting profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Set or change a profile's PIN
+// @route   PUT /api/profiles/:id/pin
+// @access  Private
+exports.setProfilePin = async (req, res) => {
+  try {
+    const { pin, password } = req.body || {};
+    
+    if (!isValidPin(pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be exactly 4 digits'
+      });
+    }
+    
+    const passwordError = await verifyAccountPassword(req.user._id, password);
+    if (passwordError) {
+      return res.status(401).json({
+        success: false,
+        message: passwordError
+      });
+    }
+    
+    const profile = await Profile.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    const hadPin = profile.pinEnabled;
+    
+    profile.pin = pin;
+    profile.pinFailedAttempts = 0;
+    profile.pinLockedUntil = null;
+    await profile.save();
+    
+    res.locals.audit = {
+      details: `${hadPin ? 'Changed' : 'Set'} PIN for profile: ${profile.name}`,
+      targetType: 'Profile',
+      targetId: profile._id,
+      before: { pinEnabled: hadPin },
+      after: { pinEnabled: true }
+    };
+    
+    res.status(200).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error setting profile PIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Remove a profile's PIN
+// @route   DELETE /api/profiles/:id/pin
+// @access  Private
+exports.removeProfilePin = async (req, res) => {
+  try {
+    const passwordError = await verifyAccountPassword(req.user._id, req.body && req.body.password);
+    if (passwordError) {
+      return res.status(401).json({
+        success: false,
+        message: passwordError
+      });
+    }
+    
+    const profile = await Profile.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+    
+    if (!profile.pinEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'This profile does not have a PIN'
+      });
+    }
+    
+    profile.pin = undefined;
+    profile.pinFailedAttempts = 0;
+    profile.pinLockedUntil = null;
+    await profile.save();
+    
+    res.locals.audit = {
+      details: `Removed PIN for profile: ${profile.name}`,
+      targetType: 'Profile',
+      targetId: profile._id,
+      before: { pinEnabled: true },
+      after: { pinEnabled: false }
+    };
+    
+    res.status(200).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error removing profile PIN:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
 };
\ No newline at end of file
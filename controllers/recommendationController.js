@@ -42,4 +42,51 @@ exports.getRecommendations = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// Most rows and titles per row a client can ask for
+const MAX_ROWS = 20;
+const MAX_ROW_ITEMS = 40;
+
+exports.getRecommendationRows = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { type } = req.query;
+    const rows = Math.min(Math.max(parseInt(req.query.rows) || 8, 1), MAX_ROWS);
+    const perRow = Math.min(Math.max(parseInt(req.query.perRow) || 12, 1), MAX_ROW_ITEMS);
+    
+    // Verify profile exists and belongs to the user
+    const profile = await Profile.findOne({ 
+      _id: profileId,
+      user: req.user._id
+    });
+    
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or unauthorized'
+      });
+    }
+    
+    // Get recommendations grouped into labelled rows
+    const recommendationRows = await recommendationService.getRecommendationRows(profileId, {
+      type,
+      rows,
+      perRow
+    });
+    
+    return res.status(200).json({
+      success: true,
+      count: recommendationRows.length,
+      data: recommendationRows
+    });
+    
+  } catch (error) {
+    console.error('Error getting recommendation rows:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,13 +1,15 @@
 const Review = require('../models/Review');
 const Content = require('../models/Content');
-const Profile = require('../models/Profile');
 
 // @desc    Create a new review
 // @route   POST /api/reviews
 // @access  Private
 exports.createReview = async (req, res) => {
   try {
-    const { contentId, profileId, rating, review, isPublic } = req.body;
+    const { contentId, rating, review, isPublic } = req.body;
+    // Reviews are written as the active profile
+    const profile = req.profile;
+    const profileId = profile._id;
     
     const content = await Content.findById(contentId);
     if (!content) {
@@ -17,14 +19,6 @@ exports.createReview = async (req, res) => {
       });
     }
     
-    const profile = await Profile.findOne({ _id: profileId, user: req.user._id });
-    if (!profile) {
-      return res.status(404).json({
-        success: false,
-        message: 'Profile not found or does not belong to you'
-      });
-    }
-    
     const existingReview = await Review.findOne({
       user: req.user._id,
       profile: profileId,
@@ -47,6 +41,13 @@ exports.createReview = async (req, res) => {
       isPublic: isPublic !== undefined ? isPublic : true
     });
     
+    res.locals.audit = {
+      details: `Reviewed ${content.title} (${rating}/5) as ${profile.name}`,
+      targetType: 'Review',
+      targetId: newReview._id,
+      after: newReview
+    };
+    
     res.status(201).json({
       success: true,
       data: newReview
@@ -65,10 +66,7 @@ exports.createReview = async (req, res) => {
 // @access  Private
 exports.getUserReviews = async (req, res) => {
   try {
-    const { profileId } = req.query;
-    
-    const query = { user: req.user._id };
-    if (profileId) query.profile = profileId;
+    const query = { user: req.user._id, profile: req.profile._id };
     
     const reviews = await Review.find(query)
       .sort({ createdAt: -1 })
@@ -106,6 +104,7 @@ exports.getContentReviews = async (req, res) => {
     const userPrivateReviews = await Review.find({
       content: contentId,
       user: req.user._id,
+      profile: req.profile._id,
       isPublic: false
     })
       .sort({ createdAt: -1 })
@@ -143,13 +142,16 @@ exports.updateReview = async (req, res) => {
       });
     }
     
-    if (existingReview.user.toString() !== req.user._id.toString()) {
+    if (existingReview.user.toString() !== req.user._id.toString() ||
+        existingReview.profile.toString() !== req.profile._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this review'
       });
     }
     
+    const before = existingReview.toObject();
+    
     if (rating !== undefined) existingReview.rating = rating;
     if (review !== undefined) existingReview.review = review;
     if (isPublic !== undefined) existingReview.isPublic = isPublic;
@@ -158,6 +160,14 @@ exports.updateReview = async (req, res) => {
     
     await existingReview.save();
     
+    res.locals.audit = {
+      details: `Updated review ${existingReview._id}`,
+      targetType: 'Review',
+      targetId: existingReview._id,
+      before,
+      after: existingReview
+    };
+    
     res.status(200).json({
       success: true,
       data: existingReview
@@ -185,14 +195,22 @@ exports.deleteReview = async (req, res) => {
       });
     }
     
-    if (review.user.toString() !== req.user._id.toString()) {
+    if (review.user.toString() !== req.user._id.toString() ||
+        review.profile.toString() !== req.profile._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this review'
       });
     }
     
-    await review.remove();
+    await review.deleteOne();
+    
+    res.locals.audit = {
+      details: `Deleted review ${review._id}`,
+      targetType: 'Review',
+      targetId: review._id,
+      before: review
+    };
     
     res.status(200).json({
       success: true,
@@ -0,0 +1,306 @@
+const Profile = require('../models/Profile');
+const Content = require('../models/Content');
+const watchProgressService = require('../services/watchProgressService');
+const maturityService = require('../services/maturityService');
+
+// @desc    Report playback progress (heartbeat)
+// @route   POST /api/progress/:profileId
+// @access  Private
+exports.updateProgress = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const body = req.body || {};
+    const { contentId, seasonNumber, episodeNumber } = body;
+    const position = Number(body.position);
+    const duration = Number(body.duration);
+
+    if (!contentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide content ID'
+      });
+    }
+
+    if (!Number.isFinite(position) || !Number.isFinite(duration) ||
+        position < 0 || duration <= 0 || position > duration) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid position and duration in seconds'
+      });
+    }
+
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+
+    const content = await Content.findById(contentId);
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    if (!maturityService.isAllowed(profile, content)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This title is not available for this profile'
+      });
+    }
+
+    // TV progress is tracked per episode
+    let episode = null;
+    if (content.type === 'tv') {
+      if (seasonNumber === undefined || episodeNumber === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide season and episode number for TV shows'
+        });
+      }
+
+      episode = watchProgressService.findEpisode(content, parseInt(seasonNumber), parseInt(episodeNumber));
+      if (!episode) {
+        return res.status(404).json({
+          success: false,
+          message: 'Episode not found'
+        });
+      }
+    }
+
+    const progress = await watchProgressService.recordProgress({
+      userId: req.user._id,
+      profileId: profile._id,
+      content,
+      position,
+      duration,
+      seasonNumber: episode ? episode.seasonNumber : null,
+      episodeNumber: episode ? episode.episodeNumber : null,
+      episodeId: episode ? episode.id : null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: progress
+    });
+  } catch (error) {
+    console.error('Error updating watch progress:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get the Continue Watching row for a profile
+// @route   GET /api/progress/:profileId/continue-watching
+// @access  Private
+exports.getContinueWatching = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { limit = 20 } = req.query;
+
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+
+    const items = await watchProgressService.getContinueWatching(
+      profile._id,
+      Math.min(Math.max(parseInt(limit) || 20, 1), 50),
+      maturityService.getContentFilter(profile)
+    );
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    console.error('Error fetching Continue Watching:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get the next episode of a TV show for a profile
+// @route   GET /api/progress/:profileId/next-episode/:contentId
+// @access  Private
+exports.getNextEpisode = async (req, res) => {
+  try {
+    const { profileId, contentId } = req.params;
+
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+
+    const content = await Content.findById(contentId);
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    if (!maturityService.isAllowed(profile, content)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This title is not available for this profile'
+      });
+    }
+
+    if (content.type !== 'tv') {
+      return res.status(400).json({
+        success: false,
+        message: 'Next episode is only available for TV shows'
+      });
+    }
+
+    const next = await watchProgressService.getNextEpisode(profile._id, content);
+
+    res.status(200).json({
+      success: true,
+      finished: !next,
+      data: next
+    });
+  } catch (error) {
+    console.error('Error resolving next episode:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get the Next Up row (series in progress with a next episode)
+// @route   GET /api/progress/:profileId/next-up
+// @access  Private
+exports.getNextUp = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { limit = 20 } = req.query;
+
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+
+    const items = await watchProgressService.getNextUp(
+      profile._id,
+      Math.min(Math.max(parseInt(limit) || 20, 1), 50),
+      maturityService.getContentFilter(profile)
+    );
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items
+    });
+  } catch (error) {
+    console.error('Error fetching Next Up:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get a profile's progress for a title (all episodes for TV)
+// @route   GET /api/progress/:profileId/:contentId
+// @access  Private
+exports.getContentProgress = async (req, res) => {
+  try {
+    const { profileId, contentId } = req.params;
+
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+
+    const progress = await watchProgressService.getProgressForContent(profile._id, contentId);
+
+    res.status(200).json({
+      success: true,
+      count: progress.length,
+      data: progress
+    });
+  } catch (error) {
+    console.error('Error fetching watch progress:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Remove a title from Continue Watching / viewing history
+// @route   DELETE /api/progress/:profileId/:contentId
+// @access  Private
+exports.clearContentProgress = async (req, res) => {
+  try {
+    const { profileId, contentId } = req.params;
+
+    const profile = await Profile.findOne({
+      _id: profileId,
+      user: req.user._id
+    });
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+
+    const removed = await watchProgressService.clearProgress(profile._id, contentId);
+
+    res.status(200).json({
+      success: true,
+      message: `Removed ${removed} progress entr${removed === 1 ? 'y' : 'ies'}`
+    });
+  } catch (error) {
+    console.error('Error clearing watch progress:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
@@ -0,0 +1,29 @@
+const auditService = require('../services/auditService');
+
+// Record an audit log entry for an action once the response has been sent.
+// Controllers describe what happened by setting res.locals.audit, e.g.
+// { details, targetType, targetId, before, after, user }
+exports.audit = (action) => {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      // Only successful requests are logged
+      if (res.statusCode >= 400) return;
+
+      const entry = res.locals.audit || {};
+
+      // Controllers can skip logging when nothing changed
+      if (entry.skip) return;
+
+      const user = entry.user || (req.user && req.user._id);
+
+      auditService.record({
+        ...entry,
+        user,
+        action,
+        details: entry.details || `${req.method} ${req.originalUrl}`
+      }, req);
+    });
+
+    next();
+  };
+};
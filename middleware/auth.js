@@ -1,63 +1,137 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
-// Protect routes
-exports.protect = async (req, res, next) => {
-  let token;
-  
+// Get the access token from the Authorization header or cookies
+const getToken = (req) => {
   // Check if token exists in headers
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } 
+    return req.headers.authorization.split(' ')[1];
+  }
   // Check if token exists in cookies
-  else if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
+  }
+  return null;
+};
+
+// Verify an access token and load its user and session.
+// Returns { user, session } or { error } with the message to send back.
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Access tokens must belong to a session
+  if (!decoded.sid) {
+    return { error: 'Not authorized to access this route' };
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    return { error: 'Session has expired or been revoked' };
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // Check if user still exists
+  if (!user) {
+    return { error: 'The user belonging to this token no longer exists' };
+  }
+
+  if (user.suspended) {
+    return { error: 'This account has been suspended' };
   }
 
+  return { user, session };
+};
+
+// Protect routes
+exports.protect = async (req, res, next) => {
+  const token = getToken(req);
+
   // Check if token exists
   if (!token) {
-    return res.status(401).json({ 
-      success: false, 
+    return res.status(401).json({
+      success: false,
       message: 'Not authorized to access this route'
     });
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user
-    const user = await User.findById(decoded.id);
-    
-    // Check if user still exists
-    if (!user) {
+    const { user, session, error } = await authenticate(token);
+
+    if (error) {
       return res.status(401).json({
         success: false,
-        message: 'The user belonging to this token no longer exists'
+        message: error
       });
     }
-    
-    // Set user in request
+
+    // Set user and session in request
     req.user = user;
-    
+    req.authSession = session;
+
     next();
   } catch (err) {
-    return res.status(401).json({ 
-      success: false, 
+    return res.status(401).json({
+      success: false,
       message: 'Not authorized to access this route'
     });
   }
 };
 
+// Roles that must sign in with two-factor authentication (e.g. REQUIRE_2FA_ROLES=admin)
+const getTwoFactorRoles = () => {
+  return (process.env.REQUIRE_2FA_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        success: false, 
+      return res.status(403).json({
+        success: false,
         message: `User role '${req.user.role}' is not authorized to access this route`
       });
     }
+
+    // Enforce 2FA for roles that require it
+    if (getTwoFactorRoles().includes(req.user.role) &&
+        !(req.authSession && req.authSession.twoFactorVerified)) {
+      return res.status(403).json({
+        success: false,
+        twoFactorRequired: true,
+        message: req.user.twoFactorEnabled
+          ? 'Please sign in again with two-factor authentication to access this route'
+          : `Two-factor authentication must be enabled for '${req.user.role}' accounts`
+      });
+    }
+
     next();
   };
-};
\ No newline at end of file
+};
+
+// Attach the user to the request if a valid token is present, without rejecting
+exports.identify = async (req, res, next) => {
+  const token = getToken(req);
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { user, session } = await authenticate(token);
+
+    if (user) {
+      req.user = user;
+      req.authSession = session;
+    }
+  } catch (err) {
+    // Invalid or expired token - continue as anonymous
+  }
+
+  next();
+};
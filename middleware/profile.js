@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const sessionService = require('../services/sessionService');
+
+// Get the profile token from the X-Profile-Token header or cookies
+const getProfileToken = (req) => {
+  if (req.headers['x-profile-token']) {
+    return req.headers['x-profile-token'];
+  }
+  if (req.cookies && req.cookies.profileToken) {
+    return req.cookies.profileToken;
+  }
+  return null;
+};
+
+// Profile id a request says it is acting for in the query string or body
+// (ids in the URL are checked by matchProfileParam once the route is matched)
+const getRequestedProfileId = (req) => {
+  return req.query.profileId || (req.body && req.body.profileId) || null;
+};
+
+const profileMismatch = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'The active profile does not match this profile'
+  });
+};
+
+// Verify a profile token for the current session and load its profile.
+// Returns { profile } or { status, error } with the response to send back.
+const authenticateProfile = async (req, token) => {
+  const decoded = sessionService.verifyProfileToken(token);
+
+  // Profile tokens only work with the session they were issued to
+  if (!decoded || !req.authSession || decoded.sid !== req.authSession._id.toString()) {
+    return { status: 401, error: 'Profile session has expired, please select the profile again' };
+  }
+
+  const profile = await Profile.findOne({ _id: decoded.pid, user: req.user._id });
+
+  if (!profile) {
+    return { status: 404, error: 'Profile not found or does not belong to you' };
+  }
+
+  // Changing the PIN signs every device out of the profile
+  if (profile.pinUpdatedAt && decoded.iat < Math.floor(profile.pinUpdatedAt.getTime() / 1000)) {
+    return { status: 401, error: 'Profile session has expired, please select the profile again' };
+  }
+
+  return { profile };
+};
+
+// Require a profile token, and that it matches any profile id given in the request.
+// Sets req.profile to the active profile.
+exports.requireProfile = async (req, res, next) => {
+  const token = getProfileToken(req);
+
+  if (!token) {
+    return res.status(403).json({
+      success: false,
+      profileRequired: true,
+      message: 'Please select a profile to access this route'
+    });
+  }
+
+  try {
+    const { profile, status, error } = await authenticateProfile(req, token);
+
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        profileRequired: true,
+        message: error
+      });
+    }
+
+    const requestedId = getRequestedProfileId(req);
+    if (requestedId && requestedId.toString() !== profile._id.toString()) {
+      return profileMismatch(res);
+    }
+
+    req.profile = profile;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// router.param('profileId') handler: the :profileId in the URL must be the
+// active profile set by requireProfile
+exports.matchProfileParam = (req, res, next, profileId) => {
+  if (!req.profile || profileId !== req.profile._id.toString()) {
+    return profileMismatch(res);
+  }
+  next();
+};
+
+// Load the profile the client is browsing as into req.profile, from a profile
+// token or (for profiles without a PIN) ?profileId= / X-Profile-Id.
+// Requests without one are treated as unrestricted.
+exports.activeProfile = async (req, res, next) => {
+  const token = getProfileToken(req);
+  const profileId = req.query.profileId || req.headers['x-profile-id'];
+
+  if (!token && !profileId) {
+    return next();
+  }
+
+  try {
+    if (token) {
+      const { profile, status, error } = await authenticateProfile(req, token);
+
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          profileRequired: true,
+          message: error
+        });
+      }
+
+      req.profile = profile;
+      return next();
+    }
+
+    const profile = mongoose.Types.ObjectId.isValid(profileId)
+      ? await Profile.findOne({ _id: profileId, user: req.user._id })
+      : null;
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found or does not belong to you'
+      });
+    }
+
+    if (profile.pinEnabled) {
+      return res.status(403).json({
+        success: false,
+        profileRequired: true,
+        message: 'This profile is locked, please select it with its PIN'
+      });
+    }
+
+    req.profile = profile;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const contentEvents = require('../services/contentEvents');
+const maturityService = require('../services/maturityService');
 
 const ContentSchema = new mongoose.Schema({
   tmdbId: {
@@ -82,6 +84,76 @@ const ContentSchema = new mongoose.Schema({
       seasonNumber: Number
     }]
   }],
+  // Release metadata from TMDB
+  original_language: {
+    type: String,
+    default: null
+  },
+  spokenLanguages: [{
+    code: String,
+    name: String
+  }],
+  productionCountries: [{
+    code: String,
+    name: String
+  }],
+  // Age ratings per country (e.g. US: PG-13, GB: 12A)
+  certifications: [{
+    country: String,
+    rating: String
+  }],
+  // Rating for the configured primary country
+  certification: {
+    type: String,
+    default: null
+  },
+  // Audience derived from the certifications (see maturityService)
+  maturityLevel: {
+    type: String,
+    enum: maturityService.LEVELS,
+    default: null
+  },
+  status: {
+    type: String,
+    default: null
+  },
+  tagline: {
+    type: String,
+    default: null
+  },
+  // For movies only
+  budget: {
+    type: Number,
+    default: null
+  },
+  revenue: {
+    type: Number,
+    default: null
+  },
+  // For TV shows only
+  networks: [{
+    id: Number,
+    name: String,
+    logoPath: String
+  }],
+  numberOfSeasons: {
+    type: Number,
+    default: null
+  },
+  numberOfEpisodes: {
+    type: Number,
+    default: null
+  },
+  // When the metadata above was last fetched from TMDB
+  metadataUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // When the backfill last tried to fetch it (failed fetches wait before retrying)
+  metadataAttemptedAt: {
+    type: Date,
+    default: null
+  },
   // Additional fields for AI recommendations
   keywords: [{
     id: Number,
@@ -107,5 +179,46 @@ ContentSchema.index({ type: 1, genres: 1 });
 ContentSchema.index({ popularity: -1 });
 ContentSchema.index({ releaseDate: -1 });
 ContentSchema.index({ featured: 1 });
+ContentSchema.index({ original_language: 1 });
+ContentSchema.index({ maturityLevel: 1 });
+
+// Keep the maturity level in sync with the certifications
+ContentSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('certifications')) {
+    this.maturityLevel = maturityService.getContentLevel(this.certifications);
+  }
+  next();
+});
+
+// Weighted full-text index used by search
+ContentSchema.index(
+  {
+    title: 'text',
+    'keywords.name': 'text',
+    'cast.name': 'text',
+    'crew.name': 'text',
+    overview: 'text'
+  },
+  {
+    name: 'ContentTextIndex',
+    weights: {
+      title: 10,
+      'keywords.name': 5,
+      'cast.name': 4,
+      'crew.name': 3,
+      overview: 1
+    },
+    default_language: 'english',
+    // No field holds a per-document language, don't let one be picked up by accident
+    language_override: 'textSearchLanguage'
+  }
+);
+
+// Let in-memory indexes know the catalog changed
+const emitChange = () => contentEvents.emit('change');
+ContentSchema.post('save', emitChange);
+ContentSchema.post('insertMany', emitChange);
+ContentSchema.post(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], emitChange);
+ContentSchema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], emitChange);
 
 module.exports = mongoose.model('Content', ContentSchema);
\ No newline at end of file
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Negative feedback a profile gave a title: dismissed ("Not interested") or thumbs-down
+const ContentFeedbackSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true
+  },
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['not_interested', 'thumbs_down'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One piece of feedback per title and profile; giving another replaces it
+ContentFeedbackSchema.index({ profile: 1, content: 1 }, { unique: true });
+ContentFeedbackSchema.index({ profile: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ContentFeedback', ContentFeedbackSchema);
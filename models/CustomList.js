@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const ListItemSchema = new mongoose.Schema({
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+    default: ''
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Named lists a profile keeps besides My List (e.g. "Weekend horror")
+const CustomListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters'],
+    default: ''
+  },
+  // Order of the list among the profile's lists
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Items in display order
+  items: [ListItemSchema],
+  // Unguessable slug of the public read-only link, unset while not shared
+  shareSlug: {
+    type: String
+  },
+  sharedAt: {
+    type: Date,
+    default: null
+  },
+  // List this one was cloned from, if any
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomList',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// List names are unique per profile
+CustomListSchema.index({ profile: 1, name: 1 }, { unique: true });
+CustomListSchema.index({ profile: 1, position: 1 });
+CustomListSchema.index({ shareSlug: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('CustomList', CustomListSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const HomeRowSchema = new mongoose.Schema({
+  // What the row shows (see homeService.ROW_TYPES)
+  type: {
+    type: String,
+    required: true
+  },
+  // Label shown to viewers; rows that build their own labels ignore it
+  title: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Most titles in the row
+  limit: {
+    type: Number,
+    min: 1,
+    max: 40,
+    default: 20
+  },
+  // Rows a type expands into (recommendations, top genres)
+  count: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 1
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Homepage row layout set by admins, served to every profile
+const HomeLayoutSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'default'
+  },
+  rows: [HomeRowSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('HomeLayout', HomeLayoutSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Precomputed collaborative-filtering neighbours of a title
+const ItemSimilaritySchema = new mongoose.Schema({
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true,
+    unique: true
+  },
+  // Most similar titles first
+  neighbours: [{
+    _id: false,
+    content: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Content'
+    },
+    score: Number,
+    // Profiles that liked or saved both titles
+    support: Number
+  }],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Finding the newest and oldest entries tells whether another instance rebuilt the model
+ItemSimilaritySchema.index({ updatedAt: 1 });
+
+module.exports = mongoose.model('ItemSimilarity', ItemSimilaritySchema);
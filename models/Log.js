@@ -8,12 +8,39 @@ const logSchema = new mongoose.Schema({
     action: {
         type: String,
         required: true,
-        enum: ['login', 'logout', 'add_content', 'delete_content', 'create_profile', 'delete_profile', 'add_to_list', 'remove_from_list', 'add_review', 'delete_review']
+        enum: ['login', 'logout', 'add_content', 'delete_content', 'create_profile', 'update_profile', 'delete_profile', 'add_to_list', 'remove_from_list', 'add_review', 'update_review', 'delete_review', 'account_locked', 'account_unlocked', 'change_role', 'suspend_user', 'reactivate_user', 'force_logout', 'create_list', 'update_list', 'delete_list', 'update_home_layout']
     },
     details: {
         type: String,
         required: true
     },
+    // Request metadata captured by the audit middleware
+    ip: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    },
+    // Entity the action was performed on (profile, content, review...)
+    targetType: {
+        type: String,
+        default: null
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Snapshots of the target before and after the change
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
     timestamp: {
         type: Date,
         default: Date.now
@@ -24,6 +51,7 @@ const logSchema = new mongoose.Schema({
 // Index for faster queries
 logSchema.index({ timestamp: -1 });
 logSchema.index({ user: 1, timestamp: -1 });
+logSchema.index({ targetId: 1, timestamp: -1 });
 // Add virtual for formatted timestamp
 logSchema.virtual('formattedTimestamp').get(function() {
     return this.timestamp.toLocaleString();
@@ -1,4 +1,30 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const maturityService = require('../services/maturityService');
+
+// A title saved to My List
+const MyListEntrySchema = new mongoose.Schema({
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+    default: ''
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Custom order set by the profile (lowest first)
+  position: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 const ProfileSchema = new mongoose.Schema({
   user: {
@@ -18,17 +44,136 @@ const ProfileSchema = new mongoose.Schema({
     max: 4,
     default: () => Math.floor(Math.random() * 4) + 1 // Random avatar between 1-4
   },
+  // Highest maturity level of content this profile can see
+  maturityLevel: {
+    type: String,
+    enum: maturityService.LEVELS,
+    default: 'adult'
+  },
+  // Optional 4-digit PIN required to select the profile, stored hashed
+  pin: {
+    type: String,
+    select: false
+  },
+  pinEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Profile tokens issued before this are no longer valid
+  pinUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  pinFailedAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  pinLockedUntil: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Playback and browsing settings
+  preferences: {
+    // UI language (ISO 639-1, optionally with region, e.g. "en" or "pt-BR")
+    language: {
+      type: String,
+      default: 'en'
+    },
+    audioLanguage: {
+      type: String,
+      default: null
+    },
+    subtitleLanguage: {
+      type: String,
+      default: null
+    },
+    autoplayNextEpisode: {
+      type: Boolean,
+      default: true
+    },
+    autoplayPreviews: {
+      type: Boolean,
+      default: true
+    },
+    // Only show these types by default (empty = all)
+    contentTypes: [{
+      type: String,
+      enum: ['movie', 'tv']
+    }],
+    // TMDB genre ids hidden by default
+    excludedGenres: [Number]
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
   // Content added to "My List"
-  myList: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Content'
-  }]
+  myList: [MyListEntrySchema]
 });
 
+// Hash PIN before saving
+ProfileSchema.pre('save', async function(next) {
+  if (!this.isModified('pin')) {
+    return next();
+  }
+
+  this.pinEnabled = !!this.pin;
+  this.pinUpdatedAt = new Date();
+
+  if (this.pin) {
+    const salt = await bcrypt.genSalt(10);
+    this.pin = await bcrypt.hash(this.pin, salt);
+  }
+});
+
+// Check if PIN matches
+ProfileSchema.methods.matchPin = async function(enteredPin) {
+  return await bcrypt.compare(String(enteredPin), this.pin);
+};
+
+// Hide the PIN hash and lockout counters when a profile is sent to the client
+ProfileSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.pin;
+    delete ret.pinFailedAttempts;
+    delete ret.pinLockedUntil;
+    return ret;
+  }
+});
+
+// Convert My Lists saved as bare content ids (before entries had addedAt and
+// position) to entries, keeping their order. Returns the number of profiles updated.
+ProfileSchema.statics.migrateLegacyMyList = async function() {
+  const result = await this.collection.updateMany(
+    { myList: { $type: 'objectId' } },
+    [{
+      $set: {
+        myList: {
+          $map: {
+            input: { $range: [0, { $size: '$myList' }] },
+            as: 'i',
+            in: {
+              $let: {
+                vars: { item: { $arrayElemAt: ['$myList', '$$i'] } },
+                in: {
+                  $cond: [
+                    { $eq: [{ $type: '$$item' }, 'objectId'] },
+                    { content: '$$item', addedAt: { $ifNull: ['$createdAt', '$$NOW'] }, position: '$$i' },
+                    '$$item'
+                  ]
+                }
+              }
+            }
+          }
+        }
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
 // Make sure user doesn't exceed 5 profiles
 ProfileSchema.statics.checkProfileLimit = async function(userId) {
   const count = await this.countDocuments({ user: userId });
@@ -44,4 +44,7 @@ const ReviewSchema = new mongoose.Schema({
 // Prevent user from submitting more than one review per content/profile
 ReviewSchema.index({ user: 1, profile: 1, content: 1 }, { unique: true });
 
+// Profile lookups for recommendations
+ReviewSchema.index({ profile: 1 });
+
 module.exports = mongoose.model('Review', ReviewSchema);
\ No newline at end of file
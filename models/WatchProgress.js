@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Playback position of a profile in a movie, or in one episode of a TV show
+const WatchProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true
+  },
+  content: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true
+  },
+  // For TV shows only (null for movies)
+  seasonNumber: {
+    type: Number,
+    default: null
+  },
+  episodeNumber: {
+    type: Number,
+    default: null
+  },
+  episodeId: {
+    type: Number,
+    default: null
+  },
+  // Position and duration in seconds
+  position: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  duration: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Number of times the title/episode was finished
+  completedCount: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastWatchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Fraction of the title/episode watched (0-1)
+WatchProgressSchema.virtual('progress').get(function() {
+  if (!this.duration) return 0;
+  return Math.min(this.position / this.duration, 1);
+});
+
+WatchProgressSchema.set('toJSON', { virtuals: true });
+WatchProgressSchema.set('toObject', { virtuals: true });
+
+// One entry per profile per movie / episode
+WatchProgressSchema.index(
+  { profile: 1, content: 1, seasonNumber: 1, episodeNumber: 1 },
+  { unique: true }
+);
+WatchProgressSchema.index({ profile: 1, lastWatchedAt: -1 });
+
+module.exports = mongoose.model('WatchProgress', WatchProgressSchema);
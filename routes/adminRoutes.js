@@ -6,8 +6,22 @@ const {
   getStats,
   getTrendingContent,
   searchContent,
-  importContent
+  importContent,
+  backfillMetadata,
+  rebuildRecommendationModel,
+  getHomeLayout,
+  updateHomeLayout,
+  resetHomeLayout
 } = require('../controllers/adminController');
+const {
+  getUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  reactivateUser,
+  forceLogoutUser,
+  unlockUser
+} = require('../controllers/adminUserController');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
@@ -24,8 +38,27 @@ router.post('/logs', createLog);
 router.get('/tmdb/trending/:type', getTrendingContent);
 router.get('/tmdb/search', searchContent);
 router.post('/tmdb/import', importContent);
+router.post('/tmdb/backfill', backfillMetadata);
+
+// Recommendation model
+router.post('/recommendations/rebuild', rebuildRecommendationModel);
+
+// Homepage row layout
+router.route('/home-layout')
+  .get(getHomeLayout)
+  .put(updateHomeLayout)
+  .delete(resetHomeLayout);
 
 // Stats routes
 router.get('/stats', getStats);
 
+// User management routes
+router.get('/users', getUsers);
+router.get('/users/:id', getUser);
+router.patch('/users/:id/role', updateUserRole);
+router.post('/users/:id/suspend', suspendUser);
+router.post('/users/:id/reactivate', reactivateUser);
+router.post('/users/:id/logout', forceLogoutUser);
+router.post('/users/:id/unlock', unlockUser);
+
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,48 @@
 const express = require('express');
-const { register, login, logout, getMe } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  register,
+  login,
+  logout,
+  refresh,
+  getMe,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/authController');
+const { protect, identify } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
 router.post('/register', register);
-router.post('/login', login);
-router.get('/logout', logout);
+router.post('/login', audit('login'), login);
+router.post('/login/2fa', audit('login'), loginTwoFactor);
+router.get('/logout', identify, audit('logout'), logout);
+router.post('/refresh', refresh);
 router.get('/me', protect, getMe);
 
+// Password reset and email verification
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+// Signed-in devices
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, audit('logout'), revokeSession);
+
 module.exports = router;
\ No newline at end of file
@@ -14,14 +14,18 @@ const {
   getAllMovieContent,
   getAllTVContent,
   getBrowseContent, // New controller function
-  searchContent     // New controller function
+  searchContent,    // New controller function
+  getSuggestions,
+  getSimilarContent
 } = require('../controllers/contentController');
 const { protect, authorize } = require('../middleware/auth');
+const { activeProfile } = require('../middleware/profile');
 
 const router = express.Router();
 
-// Protect all routes
+// Protect all routes and apply the active profile's maturity level
 router.use(protect);
+router.use(activeProfile);
 
 // Get featured content for banner
 router.get('/featured', getFeaturedContent);
@@ -51,10 +55,14 @@ router.get('/tv', getAllTVContent);
 // New routes for browse/search page
 router.get('/browse', getBrowseContent);
 router.get('/search', searchContent);
+router.get('/suggest', getSuggestions);
 
 // Get content details by ID
 router.get('/:id', getContentById);
 
+// Get similar titles ("More Like This")
+router.get('/:id/similar', getSimilarContent);
+
 // Admin only routes
 router.post('/refresh', authorize('admin'), refreshContent);
 router.post('/', authorize('admin'), createContent);
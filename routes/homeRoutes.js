@@ -0,0 +1,16 @@
+const express = require('express');
+const { getHome } = require('../controllers/homeController');
+const { protect } = require('../middleware/auth');
+const { requireProfile, matchProfileParam } = require('../middleware/profile');
+
+const router = express.Router();
+
+// Protect all routes and require a profile token for the profile being used
+router.use(protect);
+router.use(requireProfile);
+router.param('profileId', matchProfileParam);
+
+// Get the homepage rows for a profile
+router.get('/:profileId', getHome);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const {
+  getLists,
+  createList,
+  reorderLists,
+  getList,
+  updateList,
+  deleteList,
+  addListItem,
+  updateListItem,
+  removeListItem,
+  moveListItem,
+  shareList,
+  unshareList
+} = require('../controllers/listController');
+const { protect } = require('../middleware/auth');
+const { requireProfile, matchProfileParam } = require('../middleware/profile');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// Protect all routes and require a profile token for the profile being used
+router.use(protect);
+router.use(requireProfile);
+router.param('profileId', matchProfileParam);
+
+// Get a profile's lists and create a new list
+router.route('/:profileId')
+  .get(getLists)
+  .post(audit('create_list'), createList);
+
+// Reorder lists (before /:listId so "order" isn't taken for a list ID)
+router.patch('/:profileId/order', audit('update_list'), reorderLists);
+
+// Get, rename and delete a list ("default" is My List, which can only be read)
+router.route('/:profileId/:listId')
+  .get(getList)
+  .patch(audit('update_list'), updateList)
+  .delete(audit('delete_list'), deleteList);
+
+// Publish a list to a read-only link (or regenerate it) and revoke the link
+router.route('/:profileId/:listId/share')
+  .post(audit('update_list'), shareList)
+  .delete(audit('update_list'), unshareList);
+
+// Add a title to a list ("default" adds to My List)
+router.post('/:profileId/:listId/items', audit('add_to_list'), addListItem);
+
+// Edit the note on an entry and remove a title from a list
+router.route('/:profileId/:listId/items/:contentId')
+  .patch(updateListItem)
+  .delete(audit('remove_from_list'), removeListItem);
+
+// Move a title to another list ("default" is My List)
+router.post('/:profileId/:listId/items/:contentId/move', audit('update_list'), moveListItem);
+
+module.exports = router;
\ No newline at end of file
@@ -2,22 +2,37 @@ const express = require('express');
 const {
   getMyList,
   addToMyList,
-  removeFromMyList
+  removeFromMyList,
+  reorderMyList,
+  bulkAddToMyList,
+  bulkRemoveFromMyList,
+  clearMyList
 } = require('../controllers/myListController');
 const { protect } = require('../middleware/auth');
+const { requireProfile, matchProfileParam } = require('../middleware/profile');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
-// Protect all routes
+// Protect all routes and require a profile token for the profile being used
 router.use(protect);
+router.use(requireProfile);
+router.param('profileId', matchProfileParam);
 
-// Get My List for a profile
-router.get('/:profileId', getMyList);
+// Get and add to My List for a profile
+router.route('/:profileId')
+  .get(getMyList)
+  .post(audit('add_to_list'), addToMyList);
 
-// Add to My List
-router.post('/:profileId', addToMyList);
+// Add or remove several titles at once, or empty the list
+router.post('/:profileId/bulk/add', audit('add_to_list'), bulkAddToMyList);
+router.post('/:profileId/bulk/remove', audit('remove_from_list'), bulkRemoveFromMyList);
+router.post('/:profileId/bulk/clear', audit('remove_from_list'), clearMyList);
+
+// Reorder My List
+router.patch('/:profileId/order', reorderMyList);
 
 // Remove from My List
-router.delete('/:profileId/:contentId', removeFromMyList);
+router.delete('/:profileId/:contentId', audit('remove_from_list'), removeFromMyList);
 
 module.exports = router;
\ No newline at end of file
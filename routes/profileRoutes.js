@@ -4,9 +4,14 @@ const {
   createProfile,
   getProfile,
   updateProfile,
-  deleteProfile
+  deleteProfile,
+  updatePreferences,
+  selectProfile,
+  setProfilePin,
+  removeProfilePin
 } = require('../controllers/profileController');
 const { protect } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
@@ -16,12 +21,23 @@ router.use(protect);
 // Get all profiles and create new profile
 router.route('/')
   .get(getProfiles)
-  .post(createProfile);
+  .post(audit('create_profile'), createProfile);
 
 // Get, update and delete profile
 router.route('/:id')
   .get(getProfile)
-  .put(updateProfile)
-  .delete(deleteProfile);
+  .put(audit('update_profile'), updateProfile)
+  .delete(audit('delete_profile'), deleteProfile);
+
+// Update playback and browsing preferences
+router.put('/:id/preferences', audit('update_profile'), updatePreferences);
+
+// Switch to a profile (checks its PIN) and get a profile token
+router.post('/:id/select', selectProfile);
+
+// Set, change or remove a profile's PIN
+router.route('/:id/pin')
+  .put(audit('update_profile'), setProfilePin)
+  .delete(audit('update_profile'), removeProfilePin);
 
 module.exports = router;
\ No newline at end of file
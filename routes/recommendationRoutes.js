@@ -1,15 +1,33 @@
 const express = require('express');
 const {
-  getRecommendations
+  getRecommendations,
+  getRecommendationRows
 } = require('../controllers/recommendationController');
+const {
+  getFeedback,
+  addFeedback,
+  removeFeedback
+} = require('../controllers/feedbackController');
 const { protect } = require('../middleware/auth');
+const { requireProfile, matchProfileParam } = require('../middleware/profile');
 
 const router = express.Router();
 
-// Protect all routes
+// Protect all routes and require a profile token for the profile being used
 router.use(protect);
+router.use(requireProfile);
+router.param('profileId', matchProfileParam);
 
 // Get recommendations for a profile
 router.get('/:profileId', getRecommendations);
 
+// Get recommendations grouped into "Because you..." rows
+router.get('/:profileId/rows', getRecommendationRows);
+
+// Review, give and undo "Not interested" / thumbs-down feedback
+router.route('/:profileId/feedback')
+  .get(getFeedback)
+  .post(addFeedback);
+router.delete('/:profileId/feedback/:contentId', removeFeedback);
+
 module.exports = router;
\ No newline at end of file
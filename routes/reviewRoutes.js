@@ -7,23 +7,26 @@ const {
   deleteReview
 } = require('../controllers/reviewController');
 const { protect } = require('../middleware/auth');
+const { requireProfile } = require('../middleware/profile');
+const { audit } = require('../middleware/audit');
 
 const router = express.Router();
 
-// Protect all routes
+// Protect all routes and require a profile token for the profile being used
 router.use(protect);
+router.use(requireProfile);
 
 // Get user reviews and create new review
 router.route('/')
   .get(getUserReviews)
-  .post(createReview);
+  .post(audit('add_review'), createReview);
 
 // Get reviews for a content
 router.get('/content/:contentId', getContentReviews);
 
 // Update and delete review
 router.route('/:id')
-  .put(updateReview)
-  .delete(deleteReview);
+  .put(audit('update_review'), updateReview)
+  .delete(audit('delete_review'), deleteReview);
 
 module.exports = router;
\ No newline at end of file
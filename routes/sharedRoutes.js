@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getSharedList,
+  cloneSharedList
+} = require('../controllers/listController');
+const { protect } = require('../middleware/auth');
+const { requireProfile } = require('../middleware/profile');
+const { audit } = require('../middleware/audit');
+
+const router = express.Router();
+
+// View a shared list (public, read-only)
+router.get('/lists/:slug', getSharedList);
+
+// Copy a shared list into the active profile
+router.post('/lists/:slug/clone', protect, requireProfile, audit('create_list'), cloneSharedList);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  updateProgress,
+  getContinueWatching,
+  getNextEpisode,
+  getNextUp,
+  getContentProgress,
+  clearContentProgress
+} = require('../controllers/watchProgressController');
+const { protect } = require('../middleware/auth');
+const { requireProfile, matchProfileParam } = require('../middleware/profile');
+
+const router = express.Router();
+
+// Protect all routes and require a profile token for the profile being used
+router.use(protect);
+router.use(requireProfile);
+router.param('profileId', matchProfileParam);
+
+// Report playback progress
+router.post('/:profileId', updateProgress);
+
+// Get Continue Watching row
+router.get('/:profileId/continue-watching', getContinueWatching);
+
+// Get Next Up row and the next episode of a series
+router.get('/:profileId/next-up', getNextUp);
+router.get('/:profileId/next-episode/:contentId', getNextEpisode);
+
+// Get and clear progress for a title
+router.route('/:profileId/:contentId')
+  .get(getContentProgress)
+  .delete(clearContentProgress);
+
+module.exports = router;
@@ -4,6 +4,8 @@ const dotenv = require('dotenv');
 dotenv.config();
 const cookieParser = require('cookie-parser');
 const express = require('express');
+const Profile = require('./models/Profile');
+const collaborativeFilteringService = require('./services/collaborativeFilteringService');
 
 // Import route files
 const authRoutes = require('./routes/authRoutes');
@@ -13,11 +15,22 @@ const reviewRoutes = require('./routes/reviewRoutes');
 const myListRoutes = require('./routes/myListRoutes');
 const recommendationRoutes = require('./routes/recommendationRoutes');
 const adminRoutes = require('./routes/adminRoutes'); // Import admin routes
+const watchProgressRoutes = require('./routes/watchProgressRoutes');
+const listRoutes = require('./routes/listRoutes');
+const sharedRoutes = require('./routes/sharedRoutes');
+const homeRoutes = require('./routes/homeRoutes');
 
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" for one hop, or the proxy's address)
+// so req.ip is the client's address; X-Forwarded-For is ignored otherwise
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: ['http://localhost:3000', 'https://net-flix-clone-am.netlify.app'], // Replace with your frontend URL
@@ -40,12 +53,25 @@ app.use('/api/reviews', reviewRoutes);
 app.use('/api/mylist', myListRoutes);
 app.use('/api/recommendations', recommendationRoutes);
 app.use('/api/admin', adminRoutes); // Mount admin routes
+app.use('/api/progress', watchProgressRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/home', homeRoutes);
 
 // MongoDB Connection
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('MongoDB connected successfully');
+
+    // One-off upgrade of My Lists stored in the old format
+    const migrated = await Profile.migrateLegacyMyList();
+    if (migrated > 0) {
+      console.log(`Migrated My List entries for ${migrated} profile(s)`);
+    }
+
+    // Keep the collaborative filtering model fresh in the background
+    collaborativeFilteringService.startScheduler();
   } catch (error) {
     console.error('MongoDB connection error:', error);
     process.exit(1);
@@ -0,0 +1,76 @@
+// services/auditService.js
+const Log = require('../models/Log');
+
+// Fields that must never end up in an audit snapshot
+const SENSITIVE_FIELDS = ['password', '__v'];
+
+/**
+ * Audit service used to write entries to the Log collection.
+ * Failures are logged but never propagated, so auditing can't break a request.
+ */
+const auditService = {
+  /**
+   * Convert a mongoose document (or plain object) into a log-safe snapshot
+   * @param {Object} doc - Document to snapshot
+   * @returns {Object|null} Plain object without sensitive fields
+   */
+  snapshot: (doc) => {
+    if (!doc) return null;
+
+    const plain = typeof doc.toObject === 'function'
+      ? doc.toObject({ virtuals: false })
+      : JSON.parse(JSON.stringify(doc));
+
+    SENSITIVE_FIELDS.forEach(field => {
+      delete plain[field];
+    });
+
+    return plain;
+  },
+
+  /**
+   * Get client IP and user agent from a request. The IP comes from req.ip, which
+   * only reads X-Forwarded-For from the proxies allowed by the 'trust proxy' setting.
+   * @param {Object} req - Express request
+   * @returns {Object} { ip, userAgent }
+   */
+  getRequestInfo: (req) => {
+    if (!req) return { ip: null, userAgent: null };
+
+    return {
+      ip: req.ip || null,
+      userAgent: req.headers['user-agent'] || null
+    };
+  },
+
+  /**
+   * Write an audit log entry
+   * @param {Object} entry - Log fields (user, action, details, targetType, targetId, before, after)
+   * @param {Object} req - Optional Express request to capture IP and user agent from
+   * @returns {Promise<Object|null>} The created log, or null if it could not be written
+   */
+  record: async (entry, req = null) => {
+    try {
+      if (!entry.user || !entry.action) {
+        return null;
+      }
+
+      return await Log.create({
+        ...auditService.getRequestInfo(req),
+        user: entry.user,
+        action: entry.action,
+        details: entry.details || entry.action.replace(/_/g, ' '),
+        targetType: entry.targetType || null,
+        targetId: entry.targetId || null,
+        before: auditService.snapshot(entry.before),
+        after: auditService.snapshot(entry.after),
+        timestamp: new Date()
+      });
+    } catch (error) {
+      console.error(`Error writing audit log for ${entry.action}:`, error);
+      return null;
+    }
+  }
+};
+
+module.exports = auditService;
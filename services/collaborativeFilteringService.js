@@ -0,0 +1,332 @@
+// services/collaborativeFilteringService.js
+const Review = require('../models/Review');
+const Profile = require('../models/Profile');
+const ItemSimilarity = require('../models/ItemSimilarity');
+
+// How often the background job rebuilds the model
+const REFRESH_INTERVAL_MS = (parseInt(process.env.CF_REFRESH_INTERVAL_MINUTES) || 360) * 60 * 1000;
+// How often the stored model is checked for a rebuild made by another instance
+const MODEL_CHECK_INTERVAL_MS = (parseInt(process.env.CF_MODEL_CHECK_SECONDS) || 60) * 1000;
+// Neighbours kept per title
+const MAX_NEIGHBOURS = parseInt(process.env.CF_MAX_NEIGHBOURS) || 50;
+// Strongest interactions used per profile (bounds the pair count per profile)
+const MAX_ITEMS_PER_PROFILE = 200;
+// Damps similarities backed by only a few profiles: score * support / (support + SHRINKAGE)
+const SHRINKAGE = 5;
+// Weight of a My List save, next to a review's (see interactionWeight)
+const MY_LIST_WEIGHT = 0.5;
+// Pairs scored between yields to the event loop while building
+const PAIRS_PER_YIELD = 10000;
+
+// Let pending requests run between chunks of a rebuild
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+let model = { neighbours: new Map(), builtAt: null, oldestAt: null };
+let loadPromise = null;
+let buildPromise = null;
+let refreshTimer = null;
+let checkedAt = 0;
+
+const sameTime = (a, b) => (a ? a.getTime() : null) === (b ? b.getTime() : null);
+
+// Update times of the newest and oldest stored entries. A finished rebuild
+// leaves both at its start time, one still being written doesn't.
+const getStoredRange = async () => {
+  const [newest, oldest] = await Promise.all([
+    ItemSimilarity.findOne({}).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+    ItemSimilarity.findOne({}).sort({ updatedAt: 1 }).select('updatedAt').lean()
+  ]);
+  return {
+    builtAt: newest ? newest.updatedAt : null,
+    oldestAt: oldest ? oldest.updatedAt : null
+  };
+};
+
+// Load the stored model into memory. Concurrent calls share the same load.
+const loadStoredModel = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const stored = await ItemSimilarity.find({}).lean();
+      const neighbours = new Map(stored.map(item => [
+        item.content.toString(),
+        item.neighbours.map(neighbour => ({ ...neighbour, content: neighbour.content.toString() }))
+      ]));
+
+      let builtAt = null;
+      let oldestAt = null;
+      stored.forEach(item => {
+        if (!builtAt || item.updatedAt > builtAt) builtAt = item.updatedAt;
+        if (!oldestAt || item.updatedAt < oldestAt) oldestAt = item.updatedAt;
+      });
+
+      // Don't overwrite a model built more recently while this was loading
+      if (!model.builtAt || (builtAt && builtAt >= model.builtAt)) {
+        model = { neighbours, builtAt: builtAt || new Date(0), oldestAt };
+      }
+      checkedAt = Date.now();
+    })().finally(() => {
+      loadPromise = null;
+    });
+  }
+  return loadPromise;
+};
+
+/**
+ * Item-item collaborative filtering: titles are similar when the same
+ * profiles rate them highly or save them to My List. The model is built
+ * by a background job, stored in ItemSimilarity and served from memory.
+ */
+const collaborativeFilteringService = {
+  MY_LIST_WEIGHT,
+
+  /**
+   * How much an interaction says a profile likes a title (0 = no signal)
+   * @param {Object} interaction - { rating } for reviews or { saved: true } for My List
+   * @returns {number} Weight between 0 and 1
+   */
+  interactionWeight: ({ rating, saved }) => {
+    // 3 stars is a mild like, 5 a strong one; 1-2 stars isn't a like at all
+    const ratingWeight = rating >= 3 ? (rating - 2) / 3 : 0;
+    return Math.max(ratingWeight, saved ? MY_LIST_WEIGHT : 0);
+  },
+
+  /**
+   * Rebuild the model from every profile's reviews and My List, store it and
+   * swap it in. Concurrent calls share the same run.
+   * @returns {Promise<Object>} { profiles, titles, pairs, durationMs }
+   */
+  buildModel: async () => {
+    if (buildPromise) return buildPromise;
+
+    buildPromise = (async () => {
+      const startedAt = new Date();
+
+      // profileId -> Map(contentId -> weight)
+      const interactions = new Map();
+      const addInteraction = (profileId, contentId, weight) => {
+        if (!profileId || !contentId || weight <= 0) return;
+        const key = profileId.toString();
+        if (!interactions.has(key)) interactions.set(key, new Map());
+        const items = interactions.get(key);
+        const id = contentId.toString();
+        items.set(id, Math.max(items.get(id) || 0, weight));
+      };
+
+      const reviews = await Review.find({ rating: { $gte: 3 } })
+        .select('profile content rating')
+        .lean();
+      reviews.forEach(review => {
+        addInteraction(review.profile, review.content,
+          collaborativeFilteringService.interactionWeight({ rating: review.rating }));
+      });
+
+      const profiles = await Profile.find({ 'myList.0': { $exists: true } })
+        .select('myList.content')
+        .lean();
+      profiles.forEach(profile => {
+        profile.myList.forEach(entry => addInteraction(profile._id, entry.content, MY_LIST_WEIGHT));
+      });
+
+      // Index titles so pairs can be keyed by number
+      const itemIds = [];
+      const itemIndex = new Map();
+      const indexOf = (id) => {
+        if (!itemIndex.has(id)) {
+          itemIndex.set(id, itemIds.length);
+          itemIds.push(id);
+        }
+        return itemIndex.get(id);
+      };
+
+      const norms = new Map();
+      const dots = new Map();
+      const support = new Map();
+
+      for (const items of interactions.values()) {
+        const strongest = [...items.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, MAX_ITEMS_PER_PROFILE)
+          .map(([id, weight]) => [indexOf(id), weight]);
+
+        strongest.forEach(([i, weight]) => {
+          norms.set(i, (norms.get(i) || 0) + weight * weight);
+        });
+
+        for (let a = 0; a < strongest.length; a++) {
+          for (let b = a + 1; b < strongest.length; b++) {
+            const [i, wi] = strongest[a];
+            const [j, wj] = strongest[b];
+            const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+            dots.set(key, (dots.get(key) || 0) + wi * wj);
+            support.set(key, (support.get(key) || 0) + 1);
+          }
+        }
+
+        // A profile adds up to MAX_ITEMS_PER_PROFILE^2 / 2 pairs; don't block requests for all of them
+        await yieldToEventLoop();
+      }
+
+      // Cosine similarity with shrinkage, kept from both sides of each pair
+      const neighbours = new Map();
+      const addNeighbour = (from, to, score, count) => {
+        if (!neighbours.has(from)) neighbours.set(from, []);
+        neighbours.get(from).push({ content: itemIds[to], score, support: count });
+      };
+
+      let scored = 0;
+      for (const [key, dot] of dots) {
+        if (++scored % PAIRS_PER_YIELD === 0) await yieldToEventLoop();
+
+        const [i, j] = key.split(':').map(Number);
+        const count = support.get(key);
+        const score = (dot / Math.sqrt(norms.get(i) * norms.get(j))) * (count / (count + SHRINKAGE));
+        addNeighbour(i, j, score, count);
+        addNeighbour(j, i, score, count);
+      }
+
+      const nextModel = new Map();
+      for (const [i, list] of neighbours) {
+        list.sort((a, b) => b.score - a.score);
+        nextModel.set(itemIds[i], list.slice(0, MAX_NEIGHBOURS));
+      }
+
+      // Store the model so restarts (and other instances) don't need a rebuild
+      if (nextModel.size > 0) {
+        await ItemSimilarity.bulkWrite([...nextModel.entries()].map(([contentId, list]) => ({
+          replaceOne: {
+            filter: { content: contentId },
+            replacement: { content: contentId, neighbours: list, updatedAt: startedAt },
+            upsert: true
+          }
+        })));
+      }
+      await ItemSimilarity.deleteMany({ updatedAt: { $lt: startedAt } });
+
+      model = { neighbours: nextModel, builtAt: startedAt, oldestAt: startedAt };
+      checkedAt = Date.now();
+
+      return {
+        profiles: interactions.size,
+        titles: nextModel.size,
+        pairs: dots.size,
+        durationMs: Date.now() - startedAt.getTime()
+      };
+    })().finally(() => {
+      buildPromise = null;
+    });
+
+    return buildPromise;
+  },
+
+  /**
+   * Load the stored model into memory if it hasn't been loaded or built yet.
+   * Once loaded, a rebuild stored by another instance is picked up in the
+   * background, without holding up the caller.
+   * @returns {Promise<void>}
+   */
+  ensureModel: async () => {
+    if (!model.builtAt) {
+      await loadStoredModel();
+      return;
+    }
+
+    if (!loadPromise && Date.now() - checkedAt >= MODEL_CHECK_INTERVAL_MS) {
+      checkedAt = Date.now();
+      collaborativeFilteringService.reloadIfChanged().catch(error => {
+        console.error('Error checking stored collaborative filtering model:', error);
+      });
+    }
+  },
+
+  /**
+   * Reload the stored model if it has changed since it was loaded or built here
+   * @returns {Promise<boolean>} Whether the model was reloaded
+   */
+  reloadIfChanged: async () => {
+    const stored = await getStoredRange();
+    if (!stored.builtAt) return false;
+    if (sameTime(stored.builtAt, model.builtAt) && sameTime(stored.oldestAt, model.oldestAt)) return false;
+
+    await loadStoredModel();
+    return true;
+  },
+
+  /**
+   * Score candidate titles for a profile from the titles it liked
+   * @param {Map<string, number>} liked - contentId -> interaction weight
+   * @returns {Promise<Map>} contentId -> { score, because: [{ content, contribution }] }
+   *   where because lists the liked titles behind the score, strongest first
+   */
+  scoreCandidates: async (liked) => {
+    await collaborativeFilteringService.ensureModel();
+
+    const candidates = new Map();
+    for (const [likedId, weight] of liked) {
+      const list = model.neighbours.get(likedId) || [];
+      list.forEach(neighbour => {
+        if (liked.has(neighbour.content)) return;
+
+        const contribution = weight * neighbour.score;
+        if (!candidates.has(neighbour.content)) {
+          candidates.set(neighbour.content, { score: 0, because: [] });
+        }
+        const candidate = candidates.get(neighbour.content);
+        candidate.score += contribution;
+        candidate.because.push({ content: likedId, contribution });
+      });
+    }
+
+    candidates.forEach(candidate => {
+      candidate.because.sort((a, b) => b.contribution - a.contribution);
+    });
+
+    return candidates;
+  },
+
+  /**
+   * Get the stored neighbours of one title
+   * @param {string} contentId - The title
+   * @returns {Promise<Array>} [{ content, score, support }] most similar first
+   */
+  getNeighbours: async (contentId) => {
+    await collaborativeFilteringService.ensureModel();
+    return model.neighbours.get(contentId.toString()) || [];
+  },
+
+  /**
+   * Load the stored model and rebuild it in the background on a schedule
+   */
+  startScheduler: () => {
+    if (refreshTimer) return;
+
+    const run = () => {
+      collaborativeFilteringService.buildModel()
+        .then(stats => {
+          console.log(`Collaborative filtering model rebuilt: ${stats.titles} titles from ${stats.profiles} profiles in ${stats.durationMs}ms`);
+        })
+        .catch(error => {
+          console.error('Error rebuilding collaborative filtering model:', error);
+        });
+    };
+
+    // Rebuild right away if the stored model is missing or stale
+    collaborativeFilteringService.ensureModel()
+      .then(() => {
+        if (Date.now() - model.builtAt.getTime() >= REFRESH_INTERVAL_MS) run();
+      })
+      .catch(error => {
+        console.error('Error loading collaborative filtering model:', error);
+      });
+
+    refreshTimer = setInterval(run, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  },
+
+  /**
+   * When the model in memory was built
+   * @returns {Date|null}
+   */
+  getBuiltAt: () => model.builtAt
+};
+
+module.exports = collaborativeFilteringService;
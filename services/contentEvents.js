@@ -0,0 +1,8 @@
+// services/contentEvents.js
+const EventEmitter = require('events');
+
+// Emits 'change' whenever Content documents are created, updated or deleted,
+// so in-memory indexes built from the catalog know when to rebuild.
+const contentEvents = new EventEmitter();
+
+module.exports = contentEvents;
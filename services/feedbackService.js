@@ -0,0 +1,84 @@
+// services/feedbackService.js
+const similarityService = require('./similarityService');
+
+// How strongly each kind of negative feedback counts against a title's features
+const FEEDBACK_WEIGHTS = {
+  not_interested: 0.5,
+  thumbs_down: 1
+};
+
+// How much each kind of matching feature counts towards the penalty (sums to 1)
+const PENALTY_WEIGHTS = {
+  genres: 0.3,
+  keywords: 0.35,
+  people: 0.35
+};
+
+/**
+ * Negative feedback: "Not interested" dismissals, thumbs-down and 1-2 star
+ * ratings. Disliked titles are never recommended again, and titles sharing
+ * their genres, keywords, cast or crew are scored down.
+ */
+const feedbackService = {
+  FEEDBACK_TYPES: Object.keys(FEEDBACK_WEIGHTS),
+
+  /**
+   * How much an interaction says a profile dislikes a title (0 = no signal)
+   * @param {Object} interaction - { rating } for reviews or { type } for feedback
+   * @returns {number} Weight between 0 and 1
+   */
+  dislikeWeight: ({ rating, type }) => {
+    // 1 star is a strong dislike, 2 stars a mild one
+    const ratingWeight = rating && rating <= 2 ? (3 - rating) / 2 : 0;
+    return Math.max(ratingWeight, FEEDBACK_WEIGHTS[type] || 0);
+  },
+
+  /**
+   * Build a penalty function from the titles a profile dislikes
+   * @param {Map<string, number>} disliked - contentId -> dislike weight
+   * @returns {Promise<Function>} (contentId) => number penalty between 0 and 1, the share of a
+   *   title's genres, keywords and people found in disliked titles (weighted)
+   */
+  buildPenalty: async (disliked) => {
+    if (disliked.size === 0) return () => 0;
+
+    // Wait for the index once, so scoring each candidate is synchronous
+    await similarityService.ensureIndex();
+
+    // feature -> summed dislike weight, capped at 1 when used
+    const negative = { genres: new Map(), keywords: new Map(), people: new Map() };
+    const addFeatures = (group, ids, weight) => {
+      ids.forEach(id => negative[group].set(id, (negative[group].get(id) || 0) + weight));
+    };
+
+    for (const [contentId, weight] of disliked) {
+      const features = similarityService.getIndexedFeatures(contentId);
+      if (!features) continue;
+
+      addFeatures('genres', features.genres, weight);
+      addFeatures('keywords', features.keywords, weight);
+      addFeatures('people', new Set([...features.cast, ...features.crew]), weight);
+    }
+
+    const overlap = (group, ids) => {
+      if (ids.size === 0) return 0;
+
+      let total = 0;
+      ids.forEach(id => {
+        total += Math.min(negative[group].get(id) || 0, 1);
+      });
+      return total / ids.size;
+    };
+
+    return (contentId) => {
+      const features = similarityService.getIndexedFeatures(contentId);
+      if (!features) return 0;
+
+      return PENALTY_WEIGHTS.genres * overlap('genres', features.genres) +
+        PENALTY_WEIGHTS.keywords * overlap('keywords', features.keywords) +
+        PENALTY_WEIGHTS.people * overlap('people', new Set([...features.cast, ...features.crew]));
+    };
+  }
+};
+
+module.exports = feedbackService;
@@ -0,0 +1,284 @@
+// services/homeService.js
+const mongoose = require('mongoose');
+const Content = require('../models/Content');
+const ContentFeedback = require('../models/ContentFeedback');
+const HomeLayout = require('../models/HomeLayout');
+const maturityService = require('./maturityService');
+const preferenceService = require('./preferenceService');
+const recommendationService = require('./recommendationService');
+const watchProgressService = require('./watchProgressService');
+
+// Fields returned for titles in content rows
+const CARD_FIELDS = 'title overview posterPath backdropPath type releaseDate voteAverage genres popularity';
+
+// Row types with their default titles. Discovery rows skip titles shown in an earlier
+// row; the profile's own rows (Continue Watching, My List) are always shown in full
+const ROW_TYPES = {
+  featured: 'Featured',
+  continue_watching: 'Continue Watching',
+  my_list: 'My List',
+  // Expands into "Because you..." rows labelled by the recommendation service
+  recommendations: null,
+  // Expands into one row per favourite genre, labelled with the genre name
+  top_genres: null,
+  trending: 'Trending Now',
+  new_releases: 'New Releases'
+};
+
+// Used until an admin saves a layout
+const DEFAULT_LAYOUT = [
+  { type: 'featured', limit: 5 },
+  { type: 'continue_watching', limit: 20 },
+  { type: 'my_list', limit: 20 },
+  { type: 'recommendations', limit: 20, count: 3 },
+  { type: 'trending', limit: 20 },
+  { type: 'top_genres', limit: 20, count: 2 },
+  { type: 'new_releases', limit: 20 }
+];
+
+const MAX_LAYOUT_ROWS = 20;
+const MAX_ROW_LIMIT = 40;
+const MAX_ROW_COUNT = 10;
+const MAX_TITLE_LENGTH = 60;
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Fill in the defaults of a layout row
+const normalizeRow = (row) => ({
+  type: row.type,
+  title: row.title || null,
+  limit: row.limit || 20,
+  count: row.count || 1,
+  enabled: row.enabled !== false
+});
+
+/**
+ * Homepage composition: builds a profile's rows (Continue Watching, My List,
+ * recommendations, favourite genres, trending, new releases) in the order of
+ * the stored layout, in a single request
+ */
+const homeService = {
+  ROW_TYPES: Object.keys(ROW_TYPES),
+
+  /**
+   * Validate a layout sent by an admin
+   * @param {Array} rows - [{ type, title, limit, count, enabled }]
+   * @returns {Object} { rows } with defaults filled in, or { error }
+   */
+  validateLayout: (rows) => {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return { error: 'Please provide the rows of the layout' };
+    }
+
+    if (rows.length > MAX_LAYOUT_ROWS) {
+      return { error: `A layout can have at most ${MAX_LAYOUT_ROWS} rows` };
+    }
+
+    const seen = new Set();
+
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const label = `Row ${i + 1}`;
+
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return { error: `${label} must be an object` };
+      }
+      if (!Object.prototype.hasOwnProperty.call(ROW_TYPES, row.type)) {
+        return { error: `${label}: type must be one of: ${Object.keys(ROW_TYPES).join(', ')}` };
+      }
+      if (seen.has(row.type)) {
+        return { error: `${label}: ${row.type} is already in the layout` };
+      }
+      seen.add(row.type);
+
+      if (row.title !== undefined && row.title !== null &&
+          (typeof row.title !== 'string' || !row.title.trim() || row.title.length > MAX_TITLE_LENGTH)) {
+        return { error: `${label}: title must be text of up to ${MAX_TITLE_LENGTH} characters` };
+      }
+      if (row.limit !== undefined && !isIntegerBetween(row.limit, 1, MAX_ROW_LIMIT)) {
+        return { error: `${label}: limit must be a whole number from 1 to ${MAX_ROW_LIMIT}` };
+      }
+      if (row.count !== undefined && !isIntegerBetween(row.count, 1, MAX_ROW_COUNT)) {
+        return { error: `${label}: count must be a whole number from 1 to ${MAX_ROW_COUNT}` };
+      }
+      if (row.enabled !== undefined && typeof row.enabled !== 'boolean') {
+        return { error: `${label}: enabled must be true or false` };
+      }
+    }
+
+    return { rows: rows.map(normalizeRow) };
+  },
+
+  /**
+   * Get the stored layout, or the default one if none has been saved
+   * @returns {Promise<Object>} { rows, updatedAt, updatedBy, isDefault }
+   */
+  getLayout: async () => {
+    const layout = await HomeLayout.findOne({ key: 'default' }).lean();
+
+    if (!layout) {
+      return { rows: DEFAULT_LAYOUT.map(normalizeRow), updatedAt: null, updatedBy: null, isDefault: true };
+    }
+
+    return { rows: layout.rows, updatedAt: layout.updatedAt, updatedBy: layout.updatedBy, isDefault: false };
+  },
+
+  /**
+   * Save the layout
+   * @param {Array} rows - Rows returned by validateLayout
+   * @param {string} userId - Admin saving the layout
+   * @returns {Promise<Object>} The saved layout
+   */
+  saveLayout: async (rows, userId) => {
+    const layout = await HomeLayout.findOneAndUpdate(
+      { key: 'default' },
+      { $set: { rows, updatedBy: userId, updatedAt: new Date() } },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    return { rows: layout.rows, updatedAt: layout.updatedAt, updatedBy: layout.updatedBy, isDefault: false };
+  },
+
+  /**
+   * Go back to the default layout
+   * @returns {Promise<Object>} The default layout
+   */
+  resetLayout: async () => {
+    await HomeLayout.deleteOne({ key: 'default' });
+    return homeService.getLayout();
+  },
+
+  /**
+   * Build a profile's homepage
+   * @param {Object} profile - Profile document
+   * @returns {Promise<Object>} { layoutUpdatedAt, rows: [{ id, type, title, reason, items: [{ content, ... }] }] }
+   */
+  buildHome: async (profile) => {
+    const layout = await homeService.getLayout();
+    const enabledRows = layout.rows.filter(row => row.enabled);
+
+    const maturityFilter = maturityService.getContentFilter(profile);
+    const contentFilter = { ...maturityFilter, ...preferenceService.getContentFilter(profile) };
+
+    // Dismissed titles never show up in discovery rows
+    const dismissed = await ContentFeedback.find({ profile: profile._id }).distinct('content');
+
+    // Titles shown so far, skipped by rows that dedupe
+    const shown = new Set();
+    const excludeIds = () => [...dismissed, ...[...shown].map(id => new mongoose.Types.ObjectId(id))];
+    const discoveryQuery = (conditions = {}) => ({ ...contentFilter, ...conditions, _id: { $nin: excludeIds() } });
+
+    const rows = [];
+    const addRow = (row, items) => {
+      if (items.length === 0) return;
+      items.forEach(item => shown.add(item.content._id.toString()));
+      rows.push({ reason: null, ...row, items });
+    };
+
+    // A row type the layout already has on its own
+    const hasRow = (type) => enabledRows.some(row => row.type === type);
+
+    for (const row of enabledRows) {
+      const title = row.title || ROW_TYPES[row.type];
+
+      // One failing row shouldn't take the whole page down
+      try {
+        switch (row.type) {
+          case 'featured': {
+            const contents = await Content.find(discoveryQuery({ featured: true }))
+              .select(CARD_FIELDS)
+              .limit(row.limit);
+            addRow({ id: 'featured', type: row.type, title }, contents.map(content => ({ content })));
+            break;
+          }
+
+          case 'continue_watching': {
+            const entries = await watchProgressService.getContinueWatching(profile._id, row.limit, maturityFilter);
+            addRow({ id: 'continue_watching', type: row.type, title }, entries.map(({ content, ...progress }) => ({
+              content,
+              progress
+            })));
+            break;
+          }
+
+          case 'my_list': {
+            await profile.populate({ path: 'myList.content', select: CARD_FIELDS, match: maturityFilter });
+            const entries = profile.myList
+              .filter(entry => entry.content)
+              .sort((a, b) => a.position - b.position)
+              .slice(0, row.limit);
+            addRow({ id: 'my_list', type: row.type, title }, entries.map(entry => ({
+              content: entry.content,
+              addedAt: entry.addedAt
+            })));
+            break;
+          }
+
+          case 'recommendations': {
+            const recommendationRows = await recommendationService.getRecommendationRows(profile._id, {
+              rows: row.count,
+              perRow: row.limit,
+              exclude: excludeIds()
+            });
+            recommendationRows
+              // Its popular fallback would repeat the trending row
+              .filter(recommendationRow => !(recommendationRow.reason.type === 'popular' && hasRow('trending')))
+              .forEach(recommendationRow => {
+                addRow({
+                  id: `recommendations-${recommendationRow.id}`,
+                  type: row.type,
+                  title: recommendationRow.title,
+                  reason: recommendationRow.reason
+                }, recommendationRow.items);
+              });
+            break;
+          }
+
+          case 'top_genres': {
+            const genres = await recommendationService.getTopGenres(profile._id, row.count);
+            for (const genre of genres) {
+              const contents = await Content.find(discoveryQuery({ 'genres.id': genre.id }))
+                .select(CARD_FIELDS)
+                .sort({ popularity: -1 })
+                .limit(row.limit);
+              addRow({
+                id: `top_genres-${genre.id}`,
+                type: row.type,
+                title: genre.name,
+                reason: { type: 'genre', genreId: genre.id, genreName: genre.name }
+              }, contents.map(content => ({ content })));
+            }
+            break;
+          }
+
+          case 'trending': {
+            const contents = await Content.find(discoveryQuery())
+              .select(CARD_FIELDS)
+              .sort({ popularity: -1 })
+              .limit(row.limit);
+            addRow({ id: 'trending', type: row.type, title }, contents.map(content => ({ content })));
+            break;
+          }
+
+          case 'new_releases': {
+            const contents = await Content.find(discoveryQuery({ releaseDate: { $lte: new Date() } }))
+              .select(CARD_FIELDS)
+              .sort({ releaseDate: -1 })
+              .limit(row.limit);
+            addRow({ id: 'new_releases', type: row.type, title }, contents.map(content => ({ content })));
+            break;
+          }
+        }
+      } catch (error) {
+        console.error(`Error building ${row.type} home row:`, error);
+      }
+    }
+
+    return {
+      layoutUpdatedAt: layout.updatedAt,
+      rows
+    };
+  }
+};
+
+module.exports = homeService;
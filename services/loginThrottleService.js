@@ -0,0 +1,257 @@
+// services/loginThrottleService.js
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MINUTE_MS = 60 * 1000;
+// How often the in-process store drops expired records
+const SWEEP_INTERVAL_MS = 5 * MINUTE_MS;
+
+// Throttling settings, overridable through the environment
+const config = {
+  // Failures allowed before delays start (an IP may be shared by several people)
+  backoffAfter: parseInt(process.env.LOGIN_BACKOFF_AFTER) || 3,
+  ipBackoffAfter: parseInt(process.env.LOGIN_IP_BACKOFF_AFTER) || 10,
+  // First delay, doubled for every further failure
+  backoffBaseMs: parseInt(process.env.LOGIN_BACKOFF_BASE_MS) || 1000,
+  backoffMaxMs: parseInt(process.env.LOGIN_BACKOFF_MAX_MS) || 5 * MINUTE_MS,
+  // Failures before a temporary lockout
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 10,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 50,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE_MS,
+  // Failures are forgotten after this long without a new one
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 60) * MINUTE_MS
+};
+
+/**
+ * In-process store. Fine for a single instance; counters are lost on restart.
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const getLive = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  // Records are otherwise only dropped when their key comes back, so keys
+  // that never return (e.g. sprayed emails) would pile up
+  const sweepTimer = setInterval(() => {
+    const now = new Date();
+    for (const [key, record] of records) {
+      if (record.expiresAt <= now) records.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    get: async (key) => getLive(key),
+
+    recordFailure: async (key) => {
+      const now = new Date();
+      const record = getLive(key) || { key, failures: 0, lockedUntil: null };
+
+      record.failures += 1;
+      record.lastFailureAt = now;
+      record.expiresAt = new Date(now.getTime() + config.windowMs);
+      records.set(key, record);
+
+      return record;
+    },
+
+    lock: async (key, lockedUntil) => {
+      const record = getLive(key);
+      if (record) {
+        record.lockedUntil = lockedUntil;
+        record.expiresAt = new Date(Math.max(record.expiresAt.getTime(), lockedUntil.getTime()));
+      }
+    },
+
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+/**
+ * MongoDB-backed store so every instance sees the same counters
+ */
+const createMongoStore = () => ({
+  get: async (key) => {
+    return await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  },
+
+  recordFailure: async (key) => {
+    const now = new Date();
+
+    // Start over if the previous record has expired but not been removed yet
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: now } });
+
+    return await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + config.windowMs)
+        }
+      },
+      { new: true, upsert: true, lean: true }
+    );
+  },
+
+  lock: async (key, lockedUntil) => {
+    await LoginAttempt.updateOne(
+      { key },
+      [{
+        $set: {
+          lockedUntil,
+          expiresAt: { $max: ['$expiresAt', lockedUntil] }
+        }
+      }]
+    );
+  },
+
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  }
+});
+
+let store = process.env.LOGIN_THROTTLE_STORE === 'mongo'
+  ? createMongoStore()
+  : createMemoryStore();
+
+const isLocked = (record, now = Date.now()) => {
+  return !!(record && record.lockedUntil && record.lockedUntil.getTime() > now);
+};
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+// How long a record must wait before the next attempt, in ms
+const getWaitMs = (record, backoffAfter, now = Date.now()) => {
+  if (!record) return 0;
+
+  if (isLocked(record, now)) {
+    return record.lockedUntil.getTime() - now;
+  }
+
+  if (record.failures < backoffAfter || !record.lastFailureAt) {
+    return 0;
+  }
+
+  const delay = Math.min(
+    config.backoffBaseMs * 2 ** (record.failures - backoffAfter),
+    config.backoffMaxMs
+  );
+
+  return Math.max(0, record.lastFailureAt.getTime() + delay - now);
+};
+
+/**
+ * Per-account and per-IP failed login tracking with exponential backoff
+ * and temporary lockouts
+ */
+const loginThrottleService = {
+  config,
+
+  /**
+   * Use a different store (e.g. 'mongo' for multi-instance deployments)
+   * @param {string|Object} newStore - 'memory', 'mongo' or a custom store object
+   */
+  setStore: (newStore) => {
+    if (newStore === 'mongo') {
+      store = createMongoStore();
+    } else if (newStore === 'memory') {
+      store = createMemoryStore();
+    } else {
+      store = newStore;
+    }
+  },
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {string} email - Email being logged into
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} { allowed, locked, retryAfterMs }
+   */
+  check: async (email, ip) => {
+    const [accountRecord, ipRecord] = await Promise.all([
+      email ? store.get(accountKey(email)) : null,
+      store.get(ipKey(ip))
+    ]);
+
+    const now = Date.now();
+    const retryAfterMs = Math.max(
+      getWaitMs(accountRecord, config.backoffAfter, now),
+      getWaitMs(ipRecord, config.ipBackoffAfter, now)
+    );
+    const locked = isLocked(accountRecord, now) || isLocked(ipRecord, now);
+
+    return { allowed: retryAfterMs === 0, locked, retryAfterMs };
+  },
+
+  /**
+   * Record a failed attempt and apply lockouts
+   * @param {string} email - Email being logged into
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} { accountLocked, ipLocked, lockedUntil }
+   */
+  recordFailure: async (email, ip) => {
+    const lockedUntil = new Date(Date.now() + config.lockoutMs);
+    const result = { accountLocked: false, ipLocked: false, lockedUntil: null };
+
+    if (email) {
+      const accountRecord = await store.recordFailure(accountKey(email));
+      if (accountRecord.failures >= config.maxAccountFailures && !isLocked(accountRecord)) {
+        await store.lock(accountKey(email), lockedUntil);
+        result.accountLocked = true;
+        result.lockedUntil = lockedUntil;
+      }
+    }
+
+    const ipRecord = await store.recordFailure(ipKey(ip));
+    if (ipRecord.failures >= config.maxIpFailures && !isLocked(ipRecord)) {
+      await store.lock(ipKey(ip), lockedUntil);
+      result.ipLocked = true;
+      result.lockedUntil = lockedUntil;
+    }
+
+    return result;
+  },
+
+  /**
+   * Clear failures for an account after a successful login
+   * @param {string} email - Email of the account
+   */
+  recordSuccess: async (email) => {
+    await store.reset(accountKey(email));
+  },
+
+  /**
+   * Get the lockout state of an account
+   * @param {string} email - Email of the account
+   * @returns {Promise<Object>} { failures, lockedUntil }
+   */
+  getAccountStatus: async (email) => {
+    const record = await store.get(accountKey(email));
+    const lockedUntil = isLocked(record) ? record.lockedUntil : null;
+
+    return { failures: record ? record.failures : 0, lockedUntil };
+  },
+
+  /**
+   * Remove any lockout and failure history from an account
+   * @param {string} email - Email of the account
+   */
+  unlockAccount: async (email) => {
+    await store.reset(accountKey(email));
+  },
+
+  createMemoryStore,
+  createMongoStore
+};
+
+module.exports = loginThrottleService;
@@ -0,0 +1,118 @@
+// services/mailService.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || 'Netflix Clone <no-reply@netflix-clone.local>';
+
+/**
+ * Default transport: writes every message as a JSON file to a local outbox
+ * directory, so mail can be inspected without an SMTP server.
+ */
+const createOutboxTransport = (dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')) => ({
+  name: 'outbox',
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(dir, `${id}.json`);
+
+    await fs.writeFile(file, JSON.stringify({ id, ...message }, null, 2));
+    return { id, file };
+  }
+});
+
+/**
+ * Transport that only prints messages, handy in development
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+});
+
+const transports = {
+  outbox: createOutboxTransport,
+  console: createConsoleTransport
+};
+
+let transport = (transports[process.env.MAIL_TRANSPORT] || createOutboxTransport)();
+
+/**
+ * Mail service with a pluggable transport. Any object exposing
+ * `send(message) => Promise` can be installed with setTransport.
+ */
+const mailService = {
+  /**
+   * Replace the transport used to deliver mail (e.g. an SMTP adapter)
+   * @param {Object} newTransport - Object with an async send(message) method
+   */
+  setTransport: (newTransport) => {
+    if (!newTransport || typeof newTransport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    transport = newTransport;
+  },
+
+  /**
+   * Get the transport currently in use
+   * @returns {Object} The active transport
+   */
+  getTransport: () => transport,
+
+  /**
+   * Send a message through the active transport
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} Transport result
+   */
+  send: async ({ to, subject, text, html }) => {
+    return await transport.send({
+      from: MAIL_FROM,
+      to,
+      subject,
+      text,
+      html: html || null,
+      sentAt: new Date().toISOString()
+    });
+  },
+
+  /**
+   * Send the email verification link to a newly registered user
+   * @param {Object} user - The user document
+   * @param {string} token - Raw verification token
+   * @returns {Promise<Object>} Transport result
+   */
+  sendEmailVerification: async (user, token) => {
+    const url = `${CLIENT_URL}/verify-email/${token}`;
+    return await mailService.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: `Welcome! Please confirm your email address by opening the link below:\n\n${url}\n\nThis link expires in 24 hours.`,
+      html: `<p>Welcome! Please confirm your email address:</p><p><a href="${url}">Confirm email</a></p><p>This link expires in 24 hours.</p>`
+    });
+  },
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - The user document
+   * @param {string} token - Raw reset token
+   * @returns {Promise<Object>} Transport result
+   */
+  sendPasswordReset: async (user, token) => {
+    const url = `${CLIENT_URL}/reset-password/${token}`;
+    return await mailService.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `We received a request to reset your password. Open the link below to choose a new one:\n\n${url}\n\nThis link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+      html: `<p>We received a request to reset your password.</p><p><a href="${url}">Choose a new password</a></p><p>This link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+    });
+  },
+
+  createOutboxTransport,
+  createConsoleTransport
+};
+
+module.exports = mailService;
@@ -0,0 +1,103 @@
+// services/maturityService.js
+
+// Maturity levels from least to most restrictive audience
+const LEVELS = ['kids', 'teen', 'adult'];
+
+// Known certifications per country, mapped to the lowest level allowed to watch them
+const CERTIFICATION_LEVELS = {
+  US: {
+    // Movies (MPA)
+    'G': 'kids', 'PG': 'kids', 'PG-13': 'teen', 'R': 'adult', 'NC-17': 'adult',
+    // TV parental guidelines
+    'TV-Y': 'kids', 'TV-Y7': 'kids', 'TV-Y7-FV': 'kids', 'TV-G': 'kids', 'TV-PG': 'kids',
+    'TV-14': 'teen', 'TV-MA': 'adult'
+  },
+  GB: {
+    'U': 'kids', 'PG': 'kids', '12': 'teen', '12A': 'teen', '15': 'teen', '18': 'adult', 'R18': 'adult'
+  }
+};
+
+// Countries whose rating is trusted first when a title has several
+const PREFERRED_COUNTRIES = [process.env.TMDB_CERTIFICATION_COUNTRY || 'US', 'US', 'GB'];
+
+// Fallback for age-based ratings used by most countries ("12", "16+", "FSK 18"...)
+const levelFromAge = (rating) => {
+  const match = String(rating).match(/(\d{1,2})/);
+  if (!match) return null;
+
+  const age = parseInt(match[1]);
+  if (age <= 7) return 'kids';
+  if (age <= 15) return 'teen';
+  return 'adult';
+};
+
+const levelForCertification = (country, rating) => {
+  if (!rating) return null;
+  const known = CERTIFICATION_LEVELS[country] && CERTIFICATION_LEVELS[country][rating.trim().toUpperCase()];
+  return known || levelFromAge(rating);
+};
+
+/**
+ * Maturity ratings: map TMDB certifications to kids/teen/adult levels and
+ * build the content filters used for profiles with a maturity level
+ */
+const maturityService = {
+  LEVELS,
+
+  /**
+   * Work out the maturity level of a title from its certifications.
+   * Titles without any usable rating are treated as adult.
+   * @param {Array} certifications - [{ country, rating }]
+   * @returns {string} 'kids', 'teen' or 'adult'
+   */
+  getContentLevel: (certifications = []) => {
+    for (const country of PREFERRED_COUNTRIES) {
+      const cert = certifications.find(item => item.country === country && item.rating);
+      const level = cert && levelForCertification(cert.country, cert.rating);
+      if (level) return level;
+    }
+
+    // Otherwise take the most restrictive rating any country gives
+    const levels = certifications
+      .map(cert => levelForCertification(cert.country, cert.rating))
+      .filter(Boolean);
+
+    if (levels.length === 0) return 'adult';
+    return levels.reduce((a, b) => (LEVELS.indexOf(a) >= LEVELS.indexOf(b) ? a : b));
+  },
+
+  /**
+   * Levels a profile is allowed to watch
+   * @param {string} profileLevel - Profile maturity level
+   * @returns {Array<string>} Allowed content levels
+   */
+  getAllowedLevels: (profileLevel = 'adult') => {
+    const index = LEVELS.indexOf(profileLevel);
+    return LEVELS.slice(0, index === -1 ? LEVELS.length : index + 1);
+  },
+
+  /**
+   * Check whether a profile may watch a title
+   * @param {Object} profile - Profile document (or null for no restriction)
+   * @param {Object} content - Content document
+   * @returns {boolean} True if allowed
+   */
+  isAllowed: (profile, content) => {
+    if (!profile || !profile.maturityLevel || profile.maturityLevel === 'adult') return true;
+    return maturityService
+      .getAllowedLevels(profile.maturityLevel)
+      .includes(content.maturityLevel || 'adult');
+  },
+
+  /**
+   * Content query condition hiding titles above a profile's level
+   * @param {Object} profile - Profile document (or null for no restriction)
+   * @returns {Object} Condition to merge into a Content query ({} if unrestricted)
+   */
+  getContentFilter: (profile) => {
+    if (!profile || !profile.maturityLevel || profile.maturityLevel === 'adult') return {};
+    return { maturityLevel: { $in: maturityService.getAllowedLevels(profile.maturityLevel) } };
+  }
+};
+
+module.exports = maturityService;
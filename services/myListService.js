@@ -0,0 +1,170 @@
+// services/myListService.js
+const mongoose = require('mongoose');
+const Profile = require('../models/Profile');
+const Content = require('../models/Content');
+const maturityService = require('./maturityService');
+
+// Most titles accepted by one bulk request
+const MAX_BULK_ITEMS = parseInt(process.env.MYLIST_MAX_BULK_ITEMS) || 100;
+
+// Unique ids as strings, in the order given
+const uniqueIds = (contentIds) => [...new Set(contentIds.map(String))];
+
+/**
+ * My List writes. Every change is a single atomic update on the profile, so
+ * repeating a request (double clicks, retries) never duplicates or fails.
+ */
+const myListService = {
+  MAX_BULK_ITEMS,
+
+  /**
+   * Summary of a profile's My List returned after every change
+   * @param {string} profileId - The profile ID
+   * @returns {Promise<Object>} { profile, count, items: [{ content, addedAt, position }] }
+   */
+  getSummary: async (profileId) => {
+    const profile = await Profile.findById(profileId).select('myList').lean();
+    const items = profile ? profile.myList.slice().sort((a, b) => a.position - b.position) : [];
+
+    return {
+      profile: profileId,
+      count: items.length,
+      items
+    };
+  },
+
+  /**
+   * Add titles to the end of My List, skipping ones already there
+   * @param {Object} profile - Profile document
+   * @param {Array<string>} contentIds - Content IDs to add
+   * @param {Object} options - { note } note for the new entries
+   * @returns {Promise<Array>} Per-item results [{ contentId, status, title }]
+   *   with status added, already_in_list, not_found, not_allowed or invalid_id
+   */
+  addItems: async (profile, contentIds, { note = '' } = {}) => {
+    const ids = uniqueIds(contentIds);
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    // The update below is a pipeline, which skips casting and validation, so check
+    // the note the way saving an entry would
+    const probe = new Profile({ myList: [{ content: new mongoose.Types.ObjectId(), note }] });
+    const validationError = probe.validateSync(['myList']);
+    if (validationError) throw validationError;
+    const entryNote = probe.myList[0].note;
+
+    const contents = await Content.find({ _id: { $in: validIds } }).select('title maturityLevel');
+    const contentsById = new Map(contents.map(content => [content._id.toString(), content]));
+
+    const results = [];
+    for (const id of ids) {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        results.push({ contentId: id, status: 'invalid_id' });
+        continue;
+      }
+
+      const content = contentsById.get(id);
+      if (!content) {
+        results.push({ contentId: id, status: 'not_found' });
+        continue;
+      }
+
+      if (!maturityService.isAllowed(profile, content)) {
+        results.push({ contentId: id, status: 'not_allowed', title: content.title });
+        continue;
+      }
+
+      // $addToSet can't tell entries apart by content once they carry addedAt,
+      // so only append when no entry for the title exists yet. The position is
+      // worked out in the update, so concurrent adds never share one.
+      const result = await Profile.updateOne(
+        { _id: profile._id, 'myList.content': { $ne: content._id } },
+        [{
+          $set: {
+            myList: {
+              $concatArrays: [
+                { $ifNull: ['$myList', []] },
+                [{
+                  content: content._id,
+                  note: { $literal: entryNote },
+                  addedAt: '$$NOW',
+                  position: { $add: [{ $ifNull: [{ $max: '$myList.position' }, -1] }, 1] }
+                }]
+              ]
+            }
+          }
+        }]
+      );
+
+      if (result.modifiedCount > 0) {
+        results.push({ contentId: id, status: 'added', title: content.title });
+      } else {
+        results.push({ contentId: id, status: 'already_in_list', title: content.title });
+      }
+    }
+
+    return results;
+  },
+
+  /**
+   * Remove titles from My List
+   * @param {Object} profile - Profile document
+   * @param {Array<string>} contentIds - Content IDs to remove
+   * @returns {Promise<Array>} Per-item results [{ contentId, status }]
+   *   with status removed, not_in_list or invalid_id
+   */
+  removeItems: async (profile, contentIds) => {
+    const results = [];
+
+    for (const id of uniqueIds(contentIds)) {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        results.push({ contentId: id, status: 'invalid_id' });
+        continue;
+      }
+
+      const result = await Profile.updateOne(
+        { _id: profile._id },
+        { $pull: { myList: { content: new mongoose.Types.ObjectId(id) } } }
+      );
+
+      results.push({ contentId: id, status: result.modifiedCount > 0 ? 'removed' : 'not_in_list' });
+    }
+
+    return results;
+  },
+
+  /**
+   * Set the note on a My List entry
+   * @param {Object} profile - Profile document
+   * @param {string} contentId - Content ID of the entry
+   * @param {string} note - The note ('' to clear it)
+   * @returns {Promise<Object|null>} The updated entry, or null if the title isn't in My List
+   */
+  setNote: async (profile, contentId, note) => {
+    if (!mongoose.Types.ObjectId.isValid(contentId)) return null;
+
+    const id = new mongoose.Types.ObjectId(contentId.toString());
+    const updated = await Profile.findOneAndUpdate(
+      { _id: profile._id, 'myList.content': id },
+      { $set: { 'myList.$.note': note } },
+      { new: true, runValidators: true, projection: { myList: { $elemMatch: { content: id } } } }
+    );
+
+    return updated ? updated.myList[0] : null;
+  },
+
+  /**
+   * Empty My List
+   * @param {Object} profile - Profile document
+   * @returns {Promise<number>} Number of titles removed
+   */
+  clear: async (profile) => {
+    const previous = await Profile.findOneAndUpdate(
+      { _id: profile._id },
+      { $set: { myList: [] } }
+    ).select('myList');
+
+    return previous ? previous.myList.length : 0;
+  }
+};
+
+module.exports = myListService;
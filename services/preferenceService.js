@@ -0,0 +1,99 @@
+// services/preferenceService.js
+
+const CONTENT_TYPES = ['movie', 'tv'];
+
+// "en", "pt-BR"...
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+const LANGUAGE_FIELDS = ['language', 'audioLanguage', 'subtitleLanguage'];
+const BOOLEAN_FIELDS = ['autoplayNextEpisode', 'autoplayPreviews'];
+
+/**
+ * Profile preferences: validate updates and turn the browsing preferences
+ * (preferred content types, excluded genres) into Content query conditions
+ */
+const preferenceService = {
+  /**
+   * Validate a partial preferences update
+   * @param {Object} input - Preferences sent by the client
+   * @returns {Object} { updates } with the fields to set, or { error }
+   */
+  validatePreferences: (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { error: 'Please provide the preferences to update' };
+    }
+
+    const updates = {};
+
+    for (const field of LANGUAGE_FIELDS) {
+      if (input[field] === undefined) continue;
+      // Audio and subtitle languages can be cleared to use the title's default
+      if (input[field] === null && field !== 'language') {
+        updates[field] = null;
+        continue;
+      }
+      if (typeof input[field] !== 'string' || !LANGUAGE_PATTERN.test(input[field])) {
+        return { error: `${field} must be a language code like "en" or "pt-BR"` };
+      }
+      updates[field] = input[field];
+    }
+
+    for (const field of BOOLEAN_FIELDS) {
+      if (input[field] === undefined) continue;
+      if (typeof input[field] !== 'boolean') {
+        return { error: `${field} must be true or false` };
+      }
+      updates[field] = input[field];
+    }
+
+    if (input.contentTypes !== undefined) {
+      if (!Array.isArray(input.contentTypes) ||
+          !input.contentTypes.every(type => CONTENT_TYPES.includes(type))) {
+        return { error: `contentTypes must be a list of: ${CONTENT_TYPES.join(', ')}` };
+      }
+      updates.contentTypes = [...new Set(input.contentTypes)];
+    }
+
+    if (input.excludedGenres !== undefined) {
+      if (!Array.isArray(input.excludedGenres) ||
+          !input.excludedGenres.every(id => Number.isInteger(id) && id > 0)) {
+        return { error: 'excludedGenres must be a list of genre ids' };
+      }
+      updates.excludedGenres = [...new Set(input.excludedGenres)];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return { error: 'No valid preferences provided' };
+    }
+
+    return { updates };
+  },
+
+  /**
+   * Content query conditions for a profile's browsing preferences.
+   * Filters the request asks for explicitly take precedence: an explicit type
+   * replaces the preferred types and an explicit genre lifts the exclusions.
+   * @param {Object} profile - Profile document (or null for no preferences)
+   * @param {Object} options - { types, genres } filters given in the request
+   * @returns {Object} Conditions to merge into a Content query ({} if none apply)
+   */
+  getContentFilter: (profile, { types = [], genres = [] } = {}) => {
+    if (!profile || !profile.preferences) return {};
+
+    const { contentTypes = [], excludedGenres = [] } = profile.preferences;
+    const filter = {};
+
+    // Preferring every type is the same as no preference
+    if (types.length === 0 && contentTypes.length > 0 && contentTypes.length < CONTENT_TYPES.length) {
+      filter.type = { $in: contentTypes.slice() };
+    }
+
+    if (genres.length === 0 && excludedGenres.length > 0) {
+      filter.genres = { $not: { $elemMatch: { id: { $in: excludedGenres.slice() } } } };
+    }
+
+    return filter;
+  }
+};
+
+module.exports = preferenceService;
@@ -2,147 +2,412 @@
 const Content = require('../models/Content');
 const Review = require('../models/Review');
 const Profile = require('../models/Profile');
+const ContentFeedback = require('../models/ContentFeedback');
+const WatchProgress = require('../models/WatchProgress');
 const mongoose = require('mongoose');
+const maturityService = require('./maturityService');
+const preferenceService = require('./preferenceService');
+const collaborativeFilteringService = require('./collaborativeFilteringService');
+const similarityService = require('./similarityService');
+const feedbackService = require('./feedbackService');
+
+// Share of the blended score from collaborative filtering (the rest is genre affinity)
+const parsedCfWeight = parseFloat(process.env.RECOMMENDATION_CF_WEIGHT);
+const CF_WEIGHT = Math.min(Math.max(Number.isFinite(parsedCfWeight) ? parsedCfWeight : 0.6, 0), 1);
+// Candidates scored from each source before blending
+const CANDIDATE_POOL = 200;
+// Fields returned for recommended titles
+const CARD_FIELDS = 'title overview posterPath backdropPath type releaseDate voteAverage genres popularity';
+// "Because you rated/added/watched X" rows, one per seed title
+const SEED_ROWS = 3;
+// How much watching a title says a profile likes it: finished, or watched past
+// WATCHED_MIN_PROGRESS of it (barely started titles say nothing)
+const WATCHED_WEIGHT = 0.6;
+const PARTLY_WATCHED_WEIGHT = 0.3;
+const WATCHED_MIN_PROGRESS = 0.25;
+// "Popular in <genre>" rows for the favourite genres
+const GENRE_ROWS = 2;
+// Rows with fewer titles than this are dropped
+const MIN_ROW_ITEMS = 4;
+
+// Content filter used until the profile is loaded (and by fallbacks if it can't be):
+// the most restrictive maturity level, so a failure never widens what is shown
+const RESTRICTED_FILTER = maturityService.getContentFilter({ maturityLevel: maturityService.LEVELS[0] });
+
+/**
+ * Load a profile and the content filter for its maturity level and preferences
+ * @param {string} profileId - The profile ID
+ * @param {string} type - Optional content type filter ('movie' or 'tv')
+ * @returns {Promise<Object>} { profile, contentFilter }
+ */
+const loadProfile = async (profileId, type) => {
+  // Find the profile with the titles and genres of its My List
+  const profile = await Profile.findById(profileId).populate('myList.content', 'title genres');
+  
+  if (!profile) {
+    console.log(`Profile not found: ${profileId}`);
+    throw new Error('Profile not found');
+  }
+  
+  const contentFilter = {
+    ...maturityService.getContentFilter(profile),
+    // An explicit type replaces the profile's preferred types
+    ...preferenceService.getContentFilter(profile, { types: type ? [type] : [] })
+  };
+  
+  return { profile, contentFilter };
+};
+
+/**
+ * Load what a profile has rated, saved, watched and dismissed: the titles it likes, its
+ * genre affinity, the titles that can seed "Because you..." rows and a penalty
+ * for titles resembling the ones it dislikes
+ * @param {Object} loaded - Result of loadProfile
+ * @returns {Promise<Object>} { profile, contentFilter, interactedIds, liked, disliked, penalty,
+ *   genreScores, genreNames, seeds }
+ */
+const loadProfileSignals = async ({ profile, contentFilter }) => {
+  // The profile's reviews with the titles and genres of the reviewed content, the
+  // titles (and episodes) it watched, and the titles it dismissed or gave a thumbs-down
+  const [profileReviews, watchHistory, feedback] = await Promise.all([
+    Review.find({ profile: profile._id }).populate('content', 'title genres').lean(),
+    WatchProgress.find({ profile: profile._id })
+      .select('content position duration completed completedCount lastWatchedAt')
+      .populate('content', 'title genres')
+      .lean(),
+    ContentFeedback.find({ profile: profile._id }).populate('content', 'genres').lean()
+  ]);
+  console.log(`Found ${profileReviews.length} reviews for profile`);
+  
+  // Collect content that the user has already interacted with (to exclude from recommendations)
+  const interactedContentIds = new Set();
+  
+  // Titles the profile likes (contentId -> weight), the input to collaborative filtering
+  const liked = new Map();
+  // Liked titles that can explain a row (contentId -> seed), strongest signal kept
+  const seeds = new Map();
+  const addLiked = (content, weight, seed) => {
+    if (weight <= 0) return;
+    const id = content._id.toString();
+    liked.set(id, Math.max(liked.get(id) || 0, weight));
+    
+    if (!seeds.has(id) || seeds.get(id).weight < weight) {
+      seeds.set(id, {
+        contentId: content._id,
+        title: content.title,
+        genreIds: (content.genres || []).map(genre => genre.id),
+        weight,
+        ...seed
+      });
+    }
+  };
+  
+  // Titles the profile dislikes (contentId -> weight), scored against in recommendations
+  const disliked = new Map();
+  const dislikedContent = new Map();
+  
+  // Track genre preferences (disliked titles count against their genres)
+  const genreScores = {};
+  const genreNames = {};
+  const countGenres = (content, weight = 1) => {
+    (content.genres || []).forEach(genre => {
+      if (genre && genre.id) {
+        genreScores[genre.id] = (genreScores[genre.id] || 0) + weight;
+        genreNames[genre.id] = genre.name;
+      }
+    });
+  };
+  const addDisliked = (content, weight) => {
+    if (weight <= 0) return;
+    const id = content._id.toString();
+    disliked.set(id, Math.max(disliked.get(id) || 0, weight));
+    dislikedContent.set(id, content);
+  };
+  
+  // Process reviews to find genre preferences and already-seen content
+  profileReviews.forEach(review => {
+    if (review.content && review.content._id) {
+      // Add to interacted content (to exclude from recommendations)
+      interactedContentIds.add(review.content._id.toString());
+      addLiked(
+        review.content,
+        collaborativeFilteringService.interactionWeight({ rating: review.rating }),
+        { reasonType: 'rated', rating: review.rating, at: review.updatedAt || review.createdAt }
+      );
+      
+      // Only consider content rated 3 stars or higher for preferences
+      if (review.rating >= 3) {
+        countGenres(review.content);
+      } else {
+        addDisliked(review.content, feedbackService.dislikeWeight({ rating: review.rating }));
+      }
+    }
+  });
+  
+  // Process My List items (titles deleted since they were saved aren't populated)
+  profile.myList.forEach(entry => {
+    if (!entry.content || !entry.content._id) return;
+    
+    interactedContentIds.add(entry.content._id.toString());
+    addLiked(entry.content, collaborativeFilteringService.MY_LIST_WEIGHT, { reasonType: 'my_list', at: entry.addedAt });
+    countGenres(entry.content);
+  });
+  
+  // Watched titles, with the episodes of a show adding up to the show
+  const watched = new Map();
+  watchHistory.forEach(entry => {
+    if (!entry.content || !entry.content._id) return;
+    
+    const id = entry.content._id.toString();
+    const progress = entry.duration ? Math.min(entry.position / entry.duration, 1) : 0;
+    const finished = entry.completed || entry.completedCount > 0;
+    const weight = finished ? WATCHED_WEIGHT : progress >= WATCHED_MIN_PROGRESS ? PARTLY_WATCHED_WEIGHT : 0;
+    
+    const previous = watched.get(id);
+    watched.set(id, {
+      content: entry.content,
+      weight: Math.max(previous ? previous.weight : 0, weight),
+      completed: (previous && previous.completed) || finished,
+      at: previous && previous.at > entry.lastWatchedAt ? previous.at : entry.lastWatchedAt
+    });
+  });
+  
+  watched.forEach(({ content, weight, completed, at }, id) => {
+    // Started titles are in Continue Watching, finished ones have been seen
+    interactedContentIds.add(id);
+    if (weight <= 0) return;
+    
+    addLiked(content, weight, { reasonType: 'watched', completed, at });
+    countGenres(content, weight);
+  });
+  
+  // Dismissed titles are never recommended again
+  feedback.forEach(item => {
+    if (!item.content || !item.content._id) return;
+    
+    interactedContentIds.add(item.content._id.toString());
+    addDisliked(item.content, feedbackService.dislikeWeight({ type: item.type }));
+  });
+  
+  // Disliked titles count against their genres, which stop being favorites once balanced out
+  dislikedContent.forEach((content, id) => countGenres(content, -disliked.get(id)));
+  Object.keys(genreScores).forEach(genreId => {
+    if (genreScores[genreId] <= 0) delete genreScores[genreId];
+  });
+  
+  // Genres the profile has excluded never count as favorites
+  const excludedGenres = (profile.preferences && profile.preferences.excludedGenres) || [];
+  excludedGenres.forEach(genreId => {
+    delete genreScores[genreId];
+  });
+  
+  console.log('Genre preferences:', genreScores);
+  
+  return {
+    profile,
+    contentFilter,
+    interactedIds: Array.from(interactedContentIds).map(id => new mongoose.Types.ObjectId(id)),
+    liked,
+    disliked,
+    penalty: await feedbackService.buildPenalty(disliked),
+    genreScores,
+    genreNames,
+    // Strongest likes first, most recent first among equals
+    seeds: [...seeds.values()].sort((a, b) => b.weight - a.weight || (b.at || 0) - (a.at || 0))
+  };
+};
+
+/**
+ * Score candidates from collaborative filtering and genre affinity, scaled
+ * down by their resemblance to disliked titles
+ * @param {Object} signals - Result of loadProfileSignals
+ * @param {Object} query - Content conditions every candidate must match
+ * @returns {Promise<Array>} [{ content, score, cf, genre, penalty, because }] best first, where
+ *   because is the liked title contributing most to the collaborative score
+ */
+const scoreBlendedCandidates = async ({ liked, genreScores, interactedIds, penalty }, query) => {
+  // Sort genres by preference score
+  const sortedGenres = Object.entries(genreScores)
+    .sort((a, b) => b[1] - a[1])
+    .map(entry => parseInt(entry[0]));
+    
+  console.log('Top genres:', sortedGenres.slice(0, 3));
+  
+  // Collaborative filtering candidates: titles liked by profiles who liked the same titles
+  const cfCandidates = await collaborativeFilteringService.scoreCandidates(liked);
+  const cfIds = [...cfCandidates.entries()]
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, CANDIDATE_POOL)
+    .map(([id]) => new mongoose.Types.ObjectId(id));
+  
+  console.log(`Found ${cfCandidates.size} collaborative filtering candidates`);
+  
+  // Genre candidates: popular titles in the top 3 genres
+  const favoriteGenres = sortedGenres.slice(0, 3);
+  
+  const [cfContent, genreContent] = await Promise.all([
+    cfIds.length > 0
+      ? Content.find({ ...query, _id: { $in: cfIds, $nin: interactedIds } }).select(CARD_FIELDS)
+      : [],
+    favoriteGenres.length > 0
+      ? Content.find({ ...query, _id: { $nin: interactedIds }, 'genres.id': { $in: favoriteGenres } })
+        .select(CARD_FIELDS)
+        .sort({ popularity: -1 })
+        .limit(CANDIDATE_POOL)
+      : []
+  ]);
+  
+  // Blend both signals, each scaled to 0-1 across the candidates
+  const candidates = new Map();
+  [...cfContent, ...genreContent].forEach(content => {
+    candidates.set(content._id.toString(), content);
+  });
+  
+  const genreAffinity = (content) => (content.genres || [])
+    .reduce((sum, genre) => sum + (genreScores[genre.id] || 0), 0);
+  
+  const scored = [...candidates.entries()].map(([id, content]) => {
+    const cfCandidate = cfCandidates.get(id);
+    return {
+      content,
+      cf: cfCandidate ? cfCandidate.score : 0,
+      genre: genreAffinity(content),
+      because: cfCandidate && cfCandidate.because.length > 0 ? cfCandidate.because[0].content : null
+    };
+  });
+  
+  const maxCf = Math.max(0, ...scored.map(item => item.cf));
+  const maxGenre = Math.max(0, ...scored.map(item => item.genre));
+  const cfWeight = maxCf > 0 ? CF_WEIGHT : 0;
+  
+  scored.forEach(item => {
+    item.penalty = penalty(item.content._id);
+    item.score = (cfWeight * (maxCf > 0 ? item.cf / maxCf : 0) +
+      (1 - cfWeight) * (maxGenre > 0 ? item.genre / maxGenre : 0)) * (1 - item.penalty);
+  });
+  
+  return scored
+    .sort((a, b) => b.score - a.score || (b.content.popularity || 0) - (a.content.popularity || 0));
+};
+
+/**
+ * Titles like one seed title, from collaborative filtering neighbours and
+ * content similarity (genres, keywords, cast, crew, overview)
+ * @param {Object} seed - Seed from loadProfileSignals
+ * @param {Object} query - Content conditions every title must match
+ * @param {Object} options - { type, penalty } content type filter and penalty from loadProfileSignals
+ * @returns {Promise<Array>} [{ content, score, collaborative, similarity, penalty }] best first
+ */
+const scoreSeedNeighbours = async (seed, query, { type, penalty }) => {
+  const [neighbours, similar] = await Promise.all([
+    collaborativeFilteringService.getNeighbours(seed.contentId),
+    similarityService.getSimilar(seed.contentId, { type })
+  ]);
+  
+  const signals = new Map();
+  const signalsFor = (id) => {
+    if (!signals.has(id)) signals.set(id, { collaborative: 0, similarity: 0 });
+    return signals.get(id);
+  };
+  neighbours.forEach(neighbour => {
+    signalsFor(neighbour.content.toString()).collaborative = neighbour.score;
+  });
+  similar.forEach(neighbour => {
+    signalsFor(neighbour.contentId.toString()).similarity = neighbour.score;
+  });
+  
+  // Titles without collaborative data for the seed rely on similarity alone
+  const cfWeight = neighbours.length > 0 ? CF_WEIGHT : 0;
+  signals.forEach(item => {
+    item.score = cfWeight * item.collaborative + (1 - cfWeight) * item.similarity;
+  });
+  
+  const ids = [...signals.entries()]
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, CANDIDATE_POOL)
+    .map(([id]) => new mongoose.Types.ObjectId(id));
+  if (ids.length === 0) return [];
+  
+  const contents = await Content.find({ ...query, _id: { $in: ids } }).select(CARD_FIELDS);
+  
+  return contents
+    .map(content => {
+      const item = { content, ...signals.get(content._id.toString()), penalty: penalty(content._id) };
+      item.score *= 1 - item.penalty;
+      return item;
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+const seedRowTitle = (seed) => {
+  switch (seed.reasonType) {
+    case 'rated':
+      return `Because you rated ${seed.title} ${seed.rating} stars`;
+    case 'watched':
+      return `Because you watched ${seed.title}`;
+    default:
+      return `Because you added ${seed.title} to My List`;
+  }
+};
 
 /**
- * Simple recommendation service based on:
- * 1. Content rated 3+ stars
- * 2. Content added to My List
+ * Recommendation service blending:
+ * 1. Item-item collaborative filtering over every profile's ratings and My Lists
+ * 2. Genre affinity from content rated 3+ stars, added to My List or watched
+ * Rows also use content similarity to the profile's liked titles to explain
+ * "Because you..." picks.
  */
 const recommendationService = {
   /**
-   * Get recommendations for a profile based on their reviews and My List
+   * Get recommendations for a profile based on their reviews, My List and watch history
    * @param {string} profileId - The profile ID to get recommendations for
    * @param {number} limit - Maximum number of recommendations to return
    * @param {string} type - Optional content type filter ('movie' or 'tv')
    * @returns {Promise<Array>} Array of recommended content
    */
   getRecommendationsForProfile: async (profileId, limit = 10, type = null) => {
+    // Maturity level and preferences of the profile, once it's loaded
+    let contentFilter = RESTRICTED_FILTER;
+    
     try {
       console.log(`Generating recommendations for profile: ${profileId}, type: ${type}, limit: ${limit}`);
       
-      // Find the profile with populated myList
-      const profile = await Profile.findById(profileId).populate('myList');
-      
-      if (!profile) {
-        console.log(`Profile not found: ${profileId}`);
-        throw new Error('Profile not found');
-      }
-      
-      // Get the profile's reviews with populated content
-      const profileReviews = await Review.find({ profile: profileId }).populate('content');
-      console.log(`Found ${profileReviews.length} reviews for profile`);
-      
-      // Collect content that the user has already interacted with (to exclude from recommendations)
-      const interactedContentIds = new Set();
-      
-      // Track genre preferences
-      const genreScores = {};
+      const loaded = await loadProfile(profileId, type);
+      contentFilter = loaded.contentFilter;
       
-      // Process reviews to find genre preferences and already-seen content
-      profileReviews.forEach(review => {
-        if (review.content && review.content._id) {
-          // Add to interacted content (to exclude from recommendations)
-          interactedContentIds.add(review.content._id.toString());
-          
-          // Only consider content rated 3 stars or higher for preferences
-          if (review.rating >= 3 && review.content.genres) {
-            review.content.genres.forEach(genre => {
-              if (genre && genre.id) {
-                genreScores[genre.id] = (genreScores[genre.id] || 0) + 1;
-              }
-            });
-          }
-        }
-      });
-      
-      // Process My List items
-      if (profile.myList && profile.myList.length > 0) {
-        // Function to safely get content object
-        const getContentObject = (item) => {
-          // If item is already populated
-          if (typeof item === 'object' && item !== null && item._id) {
-            return item;
-          }
-          // If item is just an ID string or ObjectId
-          return null;
-        };
-        
-        profile.myList.forEach(item => {
-          // Add to interacted content list
-          const contentId = typeof item === 'object' ? item._id : item;
-          if (contentId) {
-            interactedContentIds.add(contentId.toString());
-          }
-          
-          // Get genres from My List item if it's a populated object
-          const contentObj = getContentObject(item);
-          if (contentObj && contentObj.genres) {
-            contentObj.genres.forEach(genre => {
-              if (genre && genre.id) {
-                genreScores[genre.id] = (genreScores[genre.id] || 0) + 1;
-              }
-            });
-          }
-        });
-      }
-      
-      console.log('Genre preferences:', genreScores);
+      const signals = await loadProfileSignals(loaded);
+      const { interactedIds } = signals;
       
       // If we have no preferences, return popular content
-      if (Object.keys(genreScores).length === 0) {
+      if (Object.keys(signals.genreScores).length === 0 && signals.liked.size === 0) {
         console.log('No genre preferences found, returning popular content');
-        const query = type ? { type } : {};
+        const query = { ...(type ? { type } : {}), ...contentFilter };
+        if (interactedIds.length > 0) {
+          query._id = { $nin: interactedIds };
+        }
         return await Content.find(query)
+          .select(CARD_FIELDS)
           .sort({ popularity: -1 })
           .limit(limit);
       }
       
-      // Sort genres by preference score
-      const sortedGenres = Object.entries(genreScores)
-        .sort((a, b) => b[1] - a[1])
-        .map(entry => parseInt(entry[0]));
-        
-      console.log('Top genres:', sortedGenres.slice(0, 3));
-      
       // Build query for recommendations
-      const query = {};
+      const query = { ...contentFilter };
       
       // Add type filter if specified
       if (type) {
         query.type = type;
       }
       
-      // Convert interaction IDs to ObjectIds
-      const interactedIds = Array.from(interactedContentIds)
-        .map(id => {
-          try {
-            return mongoose.Types.ObjectId(id);
-          } catch (err) {
-            return null;
-          }
-        })
-        .filter(id => id !== null);
-      
-      // Exclude content the user has already interacted with
-      if (interactedIds.length > 0) {
-        query._id = { $nin: interactedIds };
-      }
-      
-      // Get recommendations based on top 3 genres
-      const favoriteGenres = sortedGenres.slice(0, 3);
-      query['genres.id'] = { $in: favoriteGenres };
+      const scored = await scoreBlendedCandidates(signals, query);
       
-      console.log('Executing recommendation query:', JSON.stringify(query));
-      
-      // Get genre-based recommendations
-      let recommendations = await Content.find(query)
-        .sort({ popularity: -1 })
-        .limit(limit);
+      let recommendations = scored
+        .slice(0, limit)
+        .map(item => item.content);
       
-      console.log(`Found ${recommendations.length} genre-based recommendations`);
+      console.log(`Found ${recommendations.length} blended recommendations`);
       
-      // If we don't have enough genre-based recommendations, add popular content
+      // If we don't have enough recommendations, add popular content
       if (recommendations.length < limit) {
         const remainingCount = limit - recommendations.length;
         console.log(`Need ${remainingCount} more recommendations, fetching popular content`);
@@ -151,12 +416,13 @@ const recommendationService = {
         const recommendedIds = recommendations.map(item => item._id);
         const excludeIds = [...interactedIds, ...recommendedIds];
         
-        const popularQuery = type ? { type } : {};
+        const popularQuery = { ...(type ? { type } : {}), ...contentFilter };
         if (excludeIds.length > 0) {
           popularQuery._id = { $nin: excludeIds };
         }
         
         const additionalRecommendations = await Content.find(popularQuery)
+          .select(CARD_FIELDS)
           .sort({ popularity: -1 })
           .limit(remainingCount);
           
@@ -173,8 +439,9 @@ const recommendationService = {
       
       // Fallback to popular content if any error occurs
       try {
-        const query = type ? { type } : {};
+        const query = { ...(type ? { type } : {}), ...contentFilter };
         return await Content.find(query)
+          .select(CARD_FIELDS)
           .sort({ popularity: -1 })
           .limit(limit);
       } catch (fallbackError) {
@@ -182,6 +449,194 @@ const recommendationService = {
         return []; // Last resort
       }
     }
+  },
+
+  /**
+   * Get a profile's favourite genres from what it rated, saved, watched and dismissed
+   * @param {string} profileId - The profile ID
+   * @param {number} limit - Maximum number of genres to return
+   * @returns {Promise<Array>} [{ id, name, score }] favourite first
+   */
+  getTopGenres: async (profileId, limit = 3) => {
+    const { genreScores, genreNames } = await loadProfileSignals(await loadProfile(profileId, null));
+    
+    return Object.entries(genreScores)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => ({ id: parseInt(id), name: genreNames[id], score }));
+  },
+
+  /**
+   * Get recommendations grouped into labelled rows ("Top Picks", "Because you
+   * rated X 5 stars", "Because you added X to My List", "Because you watched X",
+   * "Popular in Sci-Fi").
+   * A title appears in at most one row.
+   * @param {string} profileId - The profile ID to get recommendations for
+   * @param {Object} options - { type, rows, perRow, exclude } content type filter, maximum rows,
+   *   titles per row and content IDs already shown elsewhere
+   * @returns {Promise<Array>} [{ id, title, reason, items: [{ content, signals }] }] where reason is
+   *   { type: 'top_picks'|'rated'|'my_list'|'watched'|'genre'|'popular', seedContentId, seedTitle, ... }
+   */
+  getRecommendationRows: async (profileId, { type = null, rows = 8, perRow = 12, exclude = [] } = {}) => {
+    // Maturity level and preferences of the profile, once it's loaded
+    let contentFilter = RESTRICTED_FILTER;
+    
+    const popularRow = async (exclude) => {
+      const query = { ...(type ? { type } : {}), ...contentFilter };
+      if (exclude.length > 0) {
+        query._id = { $nin: exclude };
+      }
+      
+      const contents = await Content.find(query)
+        .select(CARD_FIELDS)
+        .sort({ popularity: -1 })
+        .limit(perRow);
+      
+      return {
+        id: 'popular',
+        title: 'Popular Now',
+        reason: { type: 'popular', seedContentId: null, seedTitle: null },
+        items: contents.map(content => ({ content, signals: { popularity: content.popularity } }))
+      };
+    };
+    
+    try {
+      console.log(`Generating recommendation rows for profile: ${profileId}, type: ${type}, rows: ${rows}`);
+      
+      const loaded = await loadProfile(profileId, type);
+      contentFilter = loaded.contentFilter;
+      
+      const signals = await loadProfileSignals(loaded);
+      const { profile, seeds, genreScores, genreNames } = signals;
+      
+      const query = { ...contentFilter };
+      if (type) {
+        query.type = type;
+      }
+      
+      // Titles already shown in a row (or interacted with) aren't repeated
+      const used = new Set([...signals.interactedIds, ...exclude].map(id => id.toString()));
+      const result = [];
+      
+      // Take up to perRow unused titles; rows that end up too short are dropped
+      const addRow = (row, candidates, toItem) => {
+        const items = candidates
+          .filter(candidate => !used.has(candidate.content._id.toString()))
+          .slice(0, perRow);
+        if (items.length < MIN_ROW_ITEMS) return;
+        
+        items.forEach(item => used.add(item.content._id.toString()));
+        result.push({ ...row, items: items.map(toItem) });
+      };
+      
+      if (seeds.length > 0) {
+        const scored = await scoreBlendedCandidates(signals, query);
+        addRow({
+          id: 'top-picks',
+          title: `Top Picks for ${profile.name}`,
+          reason: { type: 'top_picks', seedContentId: null, seedTitle: null }
+        }, scored, item => ({
+          content: item.content,
+          signals: {
+            score: item.score,
+            collaborative: item.cf,
+            genreAffinity: item.genre,
+            penalty: item.penalty,
+            seedContentId: item.because
+          }
+        }));
+      }
+      
+      for (const seed of seeds.slice(0, SEED_ROWS)) {
+        const neighbours = await scoreSeedNeighbours(seed, query, { type, penalty: signals.penalty });
+        addRow({
+          id: `${seed.reasonType}-${seed.contentId}`,
+          title: seedRowTitle(seed),
+          reason: {
+            type: seed.reasonType,
+            seedContentId: seed.contentId,
+            seedTitle: seed.title,
+            ...(seed.reasonType === 'rated' ? { rating: seed.rating } : {}),
+            ...(seed.reasonType === 'watched' ? { completed: seed.completed } : {})
+          }
+        }, neighbours, item => ({
+          content: item.content,
+          signals: {
+            score: item.score,
+            collaborative: item.collaborative,
+            similarity: item.similarity,
+            penalty: item.penalty
+          }
+        }));
+      }
+      
+      const favoriteGenres = Object.entries(genreScores)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, GENRE_ROWS)
+        .map(entry => parseInt(entry[0]));
+      
+      for (const genreId of favoriteGenres) {
+        const contents = await Content.find({
+          ...query,
+          _id: { $nin: [...used].map(id => new mongoose.Types.ObjectId(id)) },
+          'genres.id': genreId
+        })
+          .select(CARD_FIELDS)
+          .sort({ popularity: -1 })
+          .limit(perRow * 2);
+        
+        // Most popular first, scaled down by resemblance to disliked titles
+        const maxPopularity = Math.max(0, ...contents.map(content => content.popularity || 0));
+        const ranked = contents
+          .map(content => {
+            const penalty = signals.penalty(content._id);
+            const popularity = maxPopularity > 0 ? (content.popularity || 0) / maxPopularity : 0;
+            return { content, penalty, score: popularity * (1 - penalty) };
+          })
+          .sort((a, b) => b.score - a.score);
+        
+        // The strongest liked title in the genre explains the row
+        const seed = seeds.find(candidate => candidate.genreIds.includes(genreId));
+        addRow({
+          id: `genre-${genreId}`,
+          title: `Popular in ${genreNames[genreId]}`,
+          reason: {
+            type: 'genre',
+            seedContentId: seed ? seed.contentId : null,
+            seedTitle: seed ? seed.title : null,
+            genreId,
+            genreName: genreNames[genreId]
+          }
+        }, ranked, item => ({
+          content: item.content,
+          signals: {
+            genreAffinity: genreScores[genreId],
+            popularity: item.content.popularity,
+            penalty: item.penalty
+          }
+        }));
+      }
+      
+      if (result.length < rows) {
+        const row = await popularRow([...used].map(id => new mongoose.Types.ObjectId(id)));
+        if (row.items.length > 0) result.push(row);
+      }
+      
+      console.log(`Returning ${Math.min(result.length, rows)} recommendation rows`);
+      return result.slice(0, rows);
+      
+    } catch (error) {
+      console.error('Error generating recommendation rows:', error);
+      
+      // Fallback to a single row of popular content if any error occurs
+      try {
+        const row = await popularRow(exclude.map(id => new mongoose.Types.ObjectId(id.toString())));
+        return row.items.length > 0 ? [row] : [];
+      } catch (fallbackError) {
+        console.error('Error in fallback recommendation rows:', fallbackError);
+        return []; // Last resort
+      }
+    }
   }
 };
 
@@ -0,0 +1,265 @@
+// services/searchService.js
+
+// Longest search input we accept, and most terms we pass on to MongoDB
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 20;
+
+// Rating bands used for the rating facet, on TMDB's 0-10 vote average
+const RATING_BANDS = [
+  { label: '8+', min: 8, max: 10.01 },
+  { label: '7-8', min: 7, max: 8 },
+  { label: '6-7', min: 6, max: 7 },
+  { label: '5-6', min: 5, max: 6 },
+  { label: 'Under 5', min: 0, max: 5 }
+];
+
+// Values meaning "no filter" sent by the client's dropdowns
+const ALL_VALUES = ['All Genres', 'All Languages', 'All Types', 'All Decades', 'All Ratings', 'All'];
+
+// Keep letters (any script), numbers and a few in-word characters
+const cleanTerm = (term) => term
+  .normalize('NFKC')
+  .replace(/[^\p{L}\p{N}'&.-]+/gu, ' ')
+  .replace(/^[-'.&]+|[-'.&]+$/g, '')
+  .trim();
+
+/**
+ * Search helpers: parse user input into a safe MongoDB $text query
+ */
+const searchService = {
+  /**
+   * Parse a search string supporting "quoted phrases" and -exclusions.
+   * Everything else is treated as plain words; no user input reaches a regex.
+   * @param {string} input - Raw search string
+   * @returns {Object} { terms, phrases, excluded }
+   */
+  parseQuery: (input) => {
+    const result = { terms: [], phrases: [], excluded: [] };
+    if (!input || typeof input !== 'string') return result;
+
+    const text = input.slice(0, MAX_QUERY_LENGTH);
+    // -"phrase", "phrase", -word or word
+    const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(text)) !== null) {
+      if (match[2] !== undefined) {
+        const phrase = cleanTerm(match[2]);
+        if (!phrase) continue;
+        (match[1] ? result.excluded : result.phrases).push(phrase);
+      } else {
+        const raw = match[3];
+        const isExcluded = raw.startsWith('-') && raw.length > 1;
+        const word = cleanTerm(isExcluded ? raw.slice(1) : raw);
+        if (!word) continue;
+        (isExcluded ? result.excluded : result.terms).push(word);
+      }
+    }
+
+    result.terms = result.terms.slice(0, MAX_TERMS);
+    result.phrases = result.phrases.slice(0, MAX_TERMS);
+    result.excluded = result.excluded.slice(0, MAX_TERMS);
+
+    return result;
+  },
+
+  /**
+   * Build the $text $search string for a parsed query
+   * @param {Object} parsed - Result of parseQuery
+   * @returns {string|null} Search string, or null if there's nothing positive to search for
+   */
+  buildTextSearch: (parsed) => {
+    if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+      return null;
+    }
+
+    const parts = [
+      ...parsed.phrases.map(phrase => `"${phrase}"`),
+      ...parsed.terms,
+      ...parsed.excluded.map(term => (term.includes(' ') ? `-"${term}"` : `-${term}`))
+    ];
+
+    return parts.join(' ');
+  },
+
+  /**
+   * Build the Content query conditions for a search string
+   * @param {string} input - Raw search string
+   * @returns {Object|null} Query conditions, or null if the input has no usable terms
+   */
+  buildSearchQuery: (input) => {
+    const parsed = searchService.parseQuery(input);
+    const textSearch = searchService.buildTextSearch(parsed);
+
+    if (textSearch) {
+      return { $text: { $search: textSearch } };
+    }
+
+    // Only exclusions were given: filter them out of titles without a text search
+    if (parsed.excluded.length > 0) {
+      return {
+        title: {
+          $nin: parsed.excluded.map(term => new RegExp(searchService.escapeRegex(term), 'i'))
+        }
+      };
+    }
+
+    return null;
+  },
+
+  RATING_BANDS,
+
+  /**
+   * Read a multi-select query parameter (?genre=Action&genre=Drama or ?genre=Action,Drama)
+   * @param {string|Array} value - Raw query value
+   * @returns {Array<string>} Selected values
+   */
+  parseMultiValue: (value) => {
+    if (value === undefined || value === null) return [];
+
+    return (Array.isArray(value) ? value : [value])
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(item => item && !ALL_VALUES.includes(item));
+  },
+
+  /**
+   * Build one $match condition per facet from multi-select filters.
+   * Values within a facet are OR'ed, facets are AND'ed together.
+   * @param {Object} filters - { genres, types, languages, decades, ratings } arrays
+   * @returns {Object} { genre, type, language, decade, rating } conditions (missing if unfiltered)
+   */
+  buildFacetMatches: ({ genres = [], types = [], languages = [], decades = [], ratings = [] }) => {
+    const matches = {};
+
+    if (genres.length > 0) {
+      matches.genre = { 'genres.name': { $in: genres } };
+    }
+
+    const validTypes = types.filter(type => ['movie', 'tv'].includes(type));
+    if (validTypes.length > 0) {
+      matches.type = { type: { $in: validTypes } };
+    }
+
+    if (languages.length > 0) {
+      matches.language = { original_language: { $in: languages } };
+    }
+
+    // Decades like "1990s" or "1990"
+    const decadeRanges = decades
+      .map(decade => parseInt(decade))
+      .filter(decade => !isNaN(decade))
+      .map(decade => Math.floor(decade / 10) * 10)
+      .map(decade => ({
+        releaseDate: {
+          $gte: new Date(Date.UTC(decade, 0, 1)),
+          $lt: new Date(Date.UTC(decade + 10, 0, 1))
+        }
+      }));
+    if (decadeRanges.length > 0) {
+      matches.decade = { $or: decadeRanges };
+    }
+
+    const ratingRanges = RATING_BANDS
+      .filter(band => ratings.includes(band.label))
+      .map(band => ({ voteAverage: { $gte: band.min, $lt: band.max } }));
+    if (ratingRanges.length > 0) {
+      matches.rating = { $or: ratingRanges };
+    }
+
+    return matches;
+  },
+
+  /**
+   * Build the $facet stage computing bucket counts for every facet.
+   * Each facet is counted with every filter applied except its own, so the
+   * client can show how many results selecting another value would add.
+   * @param {Object} matches - Result of buildFacetMatches
+   * @returns {Object} Sub-pipelines keyed by facet name
+   */
+  buildFacetStages: (matches) => {
+    const otherFilters = (facet) => {
+      const conditions = Object.entries(matches)
+        .filter(([name]) => name !== facet)
+        .map(([, condition]) => condition);
+      return conditions.length > 0 ? [{ $match: { $and: conditions } }] : [];
+    };
+
+    return {
+      genres: [
+        ...otherFilters('genre'),
+        { $unwind: '$genres' },
+        { $group: { _id: '$genres.name', id: { $first: '$genres.id' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, value: '$_id', id: 1, count: 1 } }
+      ],
+      types: [
+        ...otherFilters('type'),
+        { $group: { _id: '$type', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $project: { _id: 0, value: '$_id', count: 1 } }
+      ],
+      languages: [
+        ...otherFilters('language'),
+        { $match: { original_language: { $nin: [null, ''] } } },
+        { $group: { _id: '$original_language', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, value: '$_id', count: 1 } }
+      ],
+      decades: [
+        ...otherFilters('decade'),
+        { $match: { releaseDate: { $type: 'date' } } },
+        {
+          $group: {
+            _id: { $multiply: [{ $floor: { $divide: [{ $year: '$releaseDate' }, 10] } }, 10] },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: -1 } },
+        { $project: { _id: 0, value: { $concat: [{ $toString: '$_id' }, 's'] }, count: 1 } }
+      ],
+      ratings: [
+        ...otherFilters('rating'),
+        {
+          $group: {
+            _id: null,
+            ...RATING_BANDS.reduce((acc, band, i) => {
+              acc[`band${i}`] = {
+                $sum: {
+                  $cond: [
+                    { $and: [{ $gte: ['$voteAverage', band.min] }, { $lt: ['$voteAverage', band.max] }] },
+                    1,
+                    0
+                  ]
+                }
+              };
+              return acc;
+            }, {})
+          }
+        }
+      ]
+    };
+  },
+
+  /**
+   * Turn the raw ratings facet output into [{ value, count }]
+   * @param {Array} ratingsFacet - Output of the ratings sub-pipeline
+   * @returns {Array} Rating buckets in band order
+   */
+  formatRatingFacet: (ratingsFacet) => {
+    const counts = ratingsFacet[0] || {};
+    return RATING_BANDS.map((band, i) => ({
+      value: band.label,
+      count: counts[`band${i}`] || 0
+    }));
+  },
+
+  /**
+   * Escape text so it can be used literally inside a RegExp
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeRegex: (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+};
+
+module.exports = searchService;
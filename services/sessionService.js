@@ -0,0 +1,207 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const auditService = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('hex');
+
+// Split a refresh token into { sessionId, secret }, or null if it's malformed
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) return null;
+
+  return { sessionId, secret };
+};
+
+// Lifetime of a session in ms ("remember me" sessions last longer)
+const getSessionLifetime = (remember) => {
+  const days = remember
+    ? parseInt(process.env.REFRESH_TOKEN_REMEMBER_DAYS) || 30
+    : parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 1;
+  return days * DAY_MS;
+};
+
+/**
+ * Session service: short-lived access tokens backed by rotating refresh tokens
+ */
+const sessionService = {
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {Object} user - The user document
+   * @param {Object} session - The session document
+   * @returns {string} Signed JWT
+   */
+  signAccessToken: (user, session) => {
+    return jwt.sign(
+      { id: user._id, sid: session._id },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
+    );
+  },
+
+  /**
+   * Sign a token letting a session act as one of the account's profiles
+   * @param {Object} session - The session document
+   * @param {Object} profile - The selected profile document
+   * @returns {string} Signed JWT
+   */
+  signProfileToken: (session, profile) => {
+    return jwt.sign(
+      { sid: session._id, pid: profile._id, scope: 'profile' },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_PROFILE_EXPIRE || '12h' }
+    );
+  },
+
+  /**
+   * Verify a profile token (signature, expiry and scope only)
+   * @param {string} token - The profile token
+   * @returns {Object|null} Decoded { sid, pid, iat } or null if invalid
+   */
+  verifyProfileToken: (token) => {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.scope === 'profile' && decoded.sid && decoded.pid ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Create a new session for a user
+   * @param {Object} user - The user document
+   * @param {Object} req - Express request (for device info)
+   * @param {boolean} remember - Whether the session should be long-lived
+   * @param {boolean} twoFactorVerified - Whether the login passed a 2FA challenge
+   * @returns {Promise<Object>} { session, refreshToken }
+   */
+  createSession: async (user, req, remember = false, twoFactorVerified = false) => {
+    const secret = generateSecret();
+    const { ip, userAgent } = auditService.getRequestInfo(req);
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: hashToken(secret),
+      ip,
+      userAgent,
+      remember: !!remember,
+      twoFactorVerified: !!twoFactorVerified,
+      expiresAt: new Date(Date.now() + getSessionLifetime(remember))
+    });
+
+    return { session, refreshToken: `${session._id}.${secret}` };
+  },
+
+  /**
+   * Exchange a refresh token for a new one, rotating the stored hash.
+   * Presenting an already-rotated token revokes the session (token reuse).
+   * @param {string} refreshToken - The refresh token presented by the client
+   * @param {Object} req - Express request (for device info)
+   * @returns {Promise<Object|null>} { session, refreshToken } or null if invalid
+   */
+  rotateSession: async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const { sessionId, secret } = parsed;
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+
+    const newSecret = generateSecret();
+    const { ip, userAgent } = auditService.getRequestInfo(req);
+
+    // Swap the hash only if it still matches, so two refreshes racing with the
+    // same token can't both succeed
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashToken(newSecret),
+          lastUsedAt: new Date(),
+          ip: ip || session.ip,
+          userAgent: userAgent || session.userAgent
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // An old token was replayed - assume it was stolen and kill the session
+      await sessionService.revokeSession(session, 'refresh_token_reuse');
+      return null;
+    }
+
+    return { session: rotated, refreshToken: `${rotated._id}.${newSecret}` };
+  },
+
+  /**
+   * Revoke a session
+   * @param {Object|string} session - Session document or id
+   * @param {string} reason - Why the session was revoked
+   * @returns {Promise<void>}
+   */
+  revokeSession: async (session, reason = 'logout') => {
+    const sessionId = session && session._id ? session._id : session;
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  },
+
+  /**
+   * Revoke the session a refresh token belongs to, only if the token's secret
+   * is the session's current one
+   * @param {string} refreshToken - The refresh token presented by the client
+   * @param {string} reason - Why the session was revoked
+   * @returns {Promise<boolean>} Whether a session was revoked
+   */
+  revokeByRefreshToken: async (refreshToken, reason = 'logout') => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const result = await Session.updateOne(
+      { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+  },
+
+  /**
+   * Revoke every active session of a user
+   * @param {string} userId - The user ID
+   * @param {string} reason - Why the sessions were revoked
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  revokeAllSessions: async (userId, reason = 'logout_all') => {
+    const result = await Session.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  },
+
+  /**
+   * Get the active sessions of a user, most recently used first
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} Array of sessions
+   */
+  getActiveSessions: async (userId) => {
+    return await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  },
+
+  getSessionLifetime
+};
+
+module.exports = sessionService;
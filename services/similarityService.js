@@ -0,0 +1,222 @@
+// services/similarityService.js
+const natural = require('natural');
+const Content = require('../models/Content');
+const contentEvents = require('./contentEvents');
+
+const { TfIdf, PorterStemmer } = natural;
+
+// Wait for a burst of catalog changes (e.g. a TMDB refresh) to settle before rebuilding
+const REBUILD_DELAY_MS = 2000;
+// Neighbours kept per title and content type filter; limits are applied to this list
+const MAX_NEIGHBOURS = 50;
+// Only the top-billed cast says much about a title
+const TOP_CAST = 5;
+
+// How much each signal counts towards the similarity score (sums to 1)
+const WEIGHTS = {
+  genres: 0.25,
+  keywords: 0.25,
+  overview: 0.2,
+  cast: 0.15,
+  crew: 0.15
+};
+
+const idSet = (items, limit) => new Set(
+  (items || []).slice(0, limit).filter(item => item && item.id).map(item => item.id)
+);
+
+// Jaccard similarity of two sets
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+// Cosine similarity of two unit-length sparse vectors
+const cosine = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+
+  let dot = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot;
+};
+
+// TF-IDF vector of a document, scaled to unit length
+const buildVector = (tfidf, index) => {
+  const vector = new Map();
+  let norm = 0;
+
+  tfidf.listTerms(index).forEach(({ term, tfidf: weight }) => {
+    vector.set(term, weight);
+    norm += weight * weight;
+  });
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+  }
+
+  return vector;
+};
+
+const scorePair = (a, b) => {
+  const scores = {
+    genres: jaccard(a.genres, b.genres),
+    keywords: jaccard(a.keywords, b.keywords),
+    overview: cosine(a.vector, b.vector),
+    cast: jaccard(a.cast, b.cast),
+    crew: jaccard(a.crew, b.crew)
+  };
+
+  const total = Object.keys(WEIGHTS).reduce((sum, key) => sum + WEIGHTS[key] * scores[key], 0);
+  return { total, scores };
+};
+
+let index = { entries: new Map(), builtAt: null };
+let neighbourCache = new Map();
+let buildPromise = null;
+let rebuildTimer = null;
+
+/**
+ * "More Like This": content-based similarity from genres, keywords, cast,
+ * crew and a TF-IDF vector of the overview. Neighbours are computed on first
+ * request per title and cached until the catalog changes.
+ */
+const similarityService = {
+  WEIGHTS,
+
+  /**
+   * Rebuild the feature index from the Content collection
+   * @returns {Promise<Object>} { titles }
+   */
+  buildIndex: async () => {
+    const contents = await Content.find({})
+      .select('type overview genres keywords cast crew')
+      .lean();
+
+    const tfidf = new TfIdf();
+    contents.forEach(content => {
+      // Stemmed words without stopwords, so "haunting" and "haunted" match
+      tfidf.addDocument(PorterStemmer.tokenizeAndStem(content.overview || ''));
+    });
+
+    const entries = new Map();
+    contents.forEach((content, i) => {
+      entries.set(content._id.toString(), {
+        contentId: content._id,
+        type: content.type,
+        genres: idSet(content.genres),
+        keywords: idSet(content.keywords),
+        cast: idSet(content.cast, TOP_CAST),
+        crew: idSet(content.crew),
+        vector: buildVector(tfidf, i)
+      });
+    });
+
+    index = { entries, builtAt: new Date() };
+    neighbourCache = new Map();
+
+    return { titles: entries.size };
+  },
+
+  /**
+   * Make sure the index has been built at least once
+   * @returns {Promise<void>}
+   */
+  ensureIndex: async () => {
+    if (index.builtAt) return;
+    if (!buildPromise) {
+      buildPromise = similarityService.buildIndex().finally(() => {
+        buildPromise = null;
+      });
+    }
+    await buildPromise;
+  },
+
+  /**
+   * Schedule a rebuild after the catalog changes
+   */
+  scheduleRebuild: () => {
+    // Nothing to refresh until someone has asked for similar titles
+    if (!index.builtAt) return;
+
+    clearTimeout(rebuildTimer);
+    rebuildTimer = setTimeout(() => {
+      similarityService.buildIndex().catch(error => {
+        console.error('Error rebuilding similarity index:', error);
+      });
+    }, REBUILD_DELAY_MS);
+    rebuildTimer.unref();
+  },
+
+  /**
+   * Get the features a title is compared on
+   * @param {string} contentId - The title
+   * @returns {Promise<Object|null>} { genres, keywords, cast, crew } sets of ids, or null if unknown
+   */
+  getFeatures: async (contentId) => {
+    await similarityService.ensureIndex();
+    return similarityService.getIndexedFeatures(contentId);
+  },
+
+  /**
+   * Get the features a title is compared on from the index as it is now,
+   * without waiting for a build (call ensureIndex first)
+   * @param {string} contentId - The title
+   * @returns {Object|null} { genres, keywords, cast, crew } sets of ids, or null if unknown
+   */
+  getIndexedFeatures: (contentId) => {
+    const entry = index.entries.get(contentId.toString());
+    if (!entry) return null;
+
+    const { genres, keywords, cast, crew } = entry;
+    return { genres, keywords, cast, crew };
+  },
+
+  /**
+   * Get the titles most similar to a title
+   * @param {string} contentId - The title to find neighbours for
+   * @param {Object} options - { limit, type } maximum results and optional content type filter
+   * @returns {Promise<Array>} [{ contentId, type, score, scores }] best match first
+   */
+  getSimilar: async (contentId, { limit = MAX_NEIGHBOURS, type = null } = {}) => {
+    await similarityService.ensureIndex();
+
+    const id = contentId.toString();
+    const source = index.entries.get(id);
+    if (!source) return [];
+
+    // Filter by type before cutting the list, so a rare type still gets a full list
+    const cacheKey = `${id}:${type || 'all'}`;
+
+    if (!neighbourCache.has(cacheKey)) {
+      const neighbours = [];
+      for (const [otherId, entry] of index.entries) {
+        if (otherId === id || (type && entry.type !== type)) continue;
+
+        const { total, scores } = scorePair(source, entry);
+        if (total > 0) {
+          neighbours.push({ contentId: entry.contentId, type: entry.type, score: total, scores });
+        }
+      }
+
+      neighbours.sort((a, b) => b.score - a.score);
+      neighbourCache.set(cacheKey, neighbours.slice(0, MAX_NEIGHBOURS));
+    }
+
+    return neighbourCache.get(cacheKey).slice(0, limit);
+  }
+};
+
+contentEvents.on('change', similarityService.scheduleRebuild);
+
+module.exports = similarityService;
@@ -0,0 +1,293 @@
+// services/suggestService.js
+const natural = require('natural');
+const Content = require('../models/Content');
+const contentEvents = require('./contentEvents');
+const maturityService = require('./maturityService');
+
+const { JaroWinklerDistance, LevenshteinDistance, PorterStemmer } = natural;
+
+// Wait for a burst of catalog changes (e.g. a TMDB refresh) to settle before rebuilding
+const REBUILD_DELAY_MS = 2000;
+// Minimum Jaro-Winkler similarity for a fuzzy word match
+const FUZZY_THRESHOLD = 0.85;
+
+// Lowercase and strip accents/punctuation: "Amélie!" -> "amelie". Letters of any
+// script are kept (with the marks non-Latin scripts need), so "千と千尋" still matches.
+const normalize = (text) => (typeof text === 'string' ? text : '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .normalize('NFC')
+  .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+// Edits allowed for a word of a given length
+const maxEdits = (length) => (length <= 4 ? 0 : length <= 7 ? 1 : 2);
+
+const createEntry = (kind, text, extra) => {
+  const tokens = tokenize(text);
+  return {
+    kind,
+    text,
+    normalized: tokens.join(' '),
+    tokens,
+    stems: tokens.map(token => PorterStemmer.stem(token)),
+    ...extra
+  };
+};
+
+// Score how well one query word matches one indexed word (0 = no match)
+const scoreToken = (queryToken, queryStem, entryToken, entryStem, isLastToken) => {
+  if (entryToken === queryToken) return 1;
+
+  // The word being typed only needs to be a prefix
+  if (isLastToken && entryToken.startsWith(queryToken)) {
+    return 0.9 + 0.1 * (queryToken.length / entryToken.length);
+  }
+
+  if (entryStem === queryStem) return 0.9;
+
+  if (queryToken.length < 3) return 0;
+
+  // Compare a partially typed word against the same-length start of the indexed word
+  const candidate = isLastToken && entryToken.length > queryToken.length
+    ? entryToken.slice(0, queryToken.length)
+    : entryToken;
+
+  const edits = LevenshteinDistance(queryToken, candidate);
+  if (edits <= maxEdits(queryToken.length)) {
+    return 0.8 - 0.1 * edits;
+  }
+
+  const similarity = JaroWinklerDistance(queryToken, candidate);
+  if (similarity >= FUZZY_THRESHOLD) {
+    return 0.7 * similarity;
+  }
+
+  return 0;
+};
+
+// Count a title towards the maturity levels of a person or genre, unrated titles as adult
+const emptyLevelCounts = () => Object.fromEntries(maturityService.LEVELS.map(level => [level, 0]));
+const countLevel = (levelCounts, content) => {
+  levelCounts[content.maturityLevel || 'adult'] += 1;
+};
+
+// Score an index entry against the query (0 = no match)
+const scoreEntry = (entry, queryTokens, queryStems, queryNormalized) => {
+  if (entry.normalized === queryNormalized) return 2;
+  if (entry.normalized.startsWith(queryNormalized)) return 1.5 + queryNormalized.length / entry.normalized.length / 2;
+
+  let total = 0;
+  for (let i = 0; i < queryTokens.length; i++) {
+    const isLastToken = i === queryTokens.length - 1;
+    let best = 0;
+
+    for (let j = 0; j < entry.tokens.length; j++) {
+      const score = scoreToken(queryTokens[i], queryStems[i], entry.tokens[j], entry.stems[j], isLastToken);
+      if (score > best) best = score;
+      if (best === 1) break;
+    }
+
+    // Every query word has to match something
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return total / queryTokens.length;
+};
+
+let index = { titles: [], people: [], genres: [], builtAt: null };
+let buildPromise = null;
+let rebuildTimer = null;
+
+/**
+ * Autocomplete for titles, people and genres with typo tolerance.
+ * Backed by an in-memory index rebuilt whenever Content changes.
+ */
+const suggestService = {
+  normalize,
+
+  /**
+   * Rebuild the in-memory index from the Content collection
+   * @returns {Promise<Object>} Index sizes
+   */
+  buildIndex: async () => {
+    const contents = await Content.find({})
+      .select('title type posterPath popularity releaseDate genres cast crew maturityLevel')
+      .lean();
+
+    const titles = [];
+    const people = new Map();
+    const genres = new Map();
+
+    contents.forEach(content => {
+      titles.push(createEntry('title', content.title, {
+        contentId: content._id,
+        type: content.type,
+        posterPath: content.posterPath,
+        releaseDate: content.releaseDate,
+        popularity: content.popularity || 0,
+        maturityLevel: content.maturityLevel
+      }));
+
+      [...(content.cast || []), ...(content.crew || [])].forEach(person => {
+        if (!person || !person.name) return;
+        const key = person.id || person.name;
+        if (!people.has(key)) {
+          people.set(key, {
+            name: person.name,
+            personId: person.id,
+            profilePath: person.profilePath || null,
+            role: person.character !== undefined ? 'cast' : person.job,
+            titles: new Set(),
+            levelCounts: emptyLevelCounts()
+          });
+        }
+        // Cast and crew credits of the same title count once
+        const entry = people.get(key);
+        const contentId = content._id.toString();
+        if (!entry.titles.has(contentId)) {
+          entry.titles.add(contentId);
+          countLevel(entry.levelCounts, content);
+        }
+      });
+
+      (content.genres || []).forEach(genre => {
+        if (!genre || !genre.name) return;
+        if (!genres.has(genre.id)) {
+          genres.set(genre.id, { name: genre.name, genreId: genre.id, count: 0, levelCounts: emptyLevelCounts() });
+        }
+        genres.get(genre.id).count += 1;
+        countLevel(genres.get(genre.id).levelCounts, content);
+      });
+    });
+
+    index = {
+      titles,
+      people: Array.from(people.values()).map(person => createEntry('person', person.name, {
+        personId: person.personId,
+        profilePath: person.profilePath,
+        role: person.role,
+        // Appearing in more of our titles makes a person a better suggestion
+        popularity: person.titles.size,
+        levelCounts: person.levelCounts
+      })),
+      genres: Array.from(genres.values()).map(genre => createEntry('genre', genre.name, {
+        genreId: genre.genreId,
+        popularity: genre.count,
+        levelCounts: genre.levelCounts
+      })),
+      builtAt: new Date()
+    };
+
+    return {
+      titles: index.titles.length,
+      people: index.people.length,
+      genres: index.genres.length
+    };
+  },
+
+  /**
+   * Make sure the index has been built at least once
+   * @returns {Promise<void>}
+   */
+  ensureIndex: async () => {
+    if (index.builtAt) return;
+    if (!buildPromise) {
+      buildPromise = suggestService.buildIndex().finally(() => {
+        buildPromise = null;
+      });
+    }
+    await buildPromise;
+  },
+
+  /**
+   * Schedule a rebuild after the catalog changes
+   */
+  scheduleRebuild: () => {
+    // Nothing to refresh until someone has asked for suggestions
+    if (!index.builtAt && !buildPromise) return;
+
+    clearTimeout(rebuildTimer);
+    rebuildTimer = setTimeout(() => {
+      // A first build still running may have read the catalog before the change
+      Promise.resolve(buildPromise).catch(() => {}).then(() => suggestService.buildIndex()).catch(error => {
+        console.error('Error rebuilding suggestion index:', error);
+      });
+    }, REBUILD_DELAY_MS);
+    rebuildTimer.unref();
+  },
+
+  /**
+   * Get suggestions for a partially typed query
+   * @param {string} query - What the user typed so far
+   * @param {Object} options - { limit, type, profile } limit per group, optional content type
+   *   filter and the active profile whose maturity level restricts title suggestions
+   * @returns {Promise<Object>} { titles, people, genres }
+   */
+  suggest: async (query, { limit = 5, type = null, profile = null } = {}) => {
+    const queryNormalized = normalize(query);
+    const empty = { titles: [], people: [], genres: [] };
+    if (queryNormalized.length < 2) return empty;
+
+    await suggestService.ensureIndex();
+
+    const queryTokens = queryNormalized.split(' ');
+    const queryStems = queryTokens.map(token => PorterStemmer.stem(token));
+
+    const rank = (entries) => entries
+      .map(entry => ({ entry, score: scoreEntry(entry, queryTokens, queryStems, queryNormalized) }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score || b.entry.popularity - a.entry.popularity)
+      .slice(0, limit);
+
+    const titles = index.titles.filter(entry =>
+      (!type || entry.type === type) &&
+      maturityService.isAllowed(profile, { maturityLevel: entry.maturityLevel })
+    );
+
+    // People and genres only count (and only show up through) titles the profile may see
+    const restricted = !maturityService.isAllowed(profile, { maturityLevel: 'adult' });
+    const allowedLevels = maturityService.getAllowedLevels(profile && profile.maturityLevel);
+    const visible = (entries) => (restricted
+      ? entries
+        .map(entry => ({
+          ...entry,
+          popularity: allowedLevels.reduce((sum, level) => sum + entry.levelCounts[level], 0)
+        }))
+        .filter(entry => entry.popularity > 0)
+      : entries);
+
+    return {
+      titles: rank(titles).map(({ entry, score }) => ({
+        _id: entry.contentId,
+        title: entry.text,
+        type: entry.type,
+        posterPath: entry.posterPath,
+        releaseDate: entry.releaseDate,
+        score
+      })),
+      people: rank(visible(index.people)).map(({ entry, score }) => ({
+        id: entry.personId,
+        name: entry.text,
+        profilePath: entry.profilePath,
+        knownFor: entry.role,
+        score
+      })),
+      genres: rank(visible(index.genres)).map(({ entry, score }) => ({
+        id: entry.genreId,
+        name: entry.text,
+        count: entry.popularity,
+        score
+      }))
+    };
+  }
+};
+
+contentEvents.on('change', suggestService.scheduleRebuild);
+
+module.exports = suggestService;
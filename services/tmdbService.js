@@ -1,10 +1,15 @@
 const axios = require('axios');
 const Content = require('../models/Content');
+const maturityService = require('./maturityService');
 
 // TMDB API configuration
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 const TMDB_API_KEY = process.env.TMDB_API_KEY || '0931ab7e4e59dbd0ba38c6dc1fbb1148';
 const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p/';
+// Country whose age rating is used as the primary certification
+const CERTIFICATION_COUNTRY = process.env.TMDB_CERTIFICATION_COUNTRY || 'US';
+// How long the metadata backfill waits before retrying a title whose fetch failed
+const METADATA_RETRY_MS = (parseInt(process.env.TMDB_METADATA_RETRY_HOURS) || 24) * 60 * 60 * 1000;
 
 // Helper function to build URLs
 const createTmdbUrl = (endpoint, params = {}) => {
@@ -25,18 +30,82 @@ const getImageUrl = (path, size = 'original') => {
   return `${TMDB_IMAGE_BASE_URL}${size}${path}`;
 };
 
+// Pick the age rating of each country from /movie/:id/release_dates
+const extractMovieCertifications = (releaseDates) => {
+  return (releaseDates.results || [])
+    .map(country => {
+      // Prefer the theatrical release (type 3), then any release with a rating
+      const dates = country.release_dates || [];
+      const rated = dates.filter(date => date.certification);
+      const theatrical = rated.find(date => date.type === 3);
+      const release = theatrical || rated[0];
+      return release ? { country: country.iso_3166_1, rating: release.certification } : null;
+    })
+    .filter(Boolean);
+};
+
+// Age ratings of each country from /tv/:id/content_ratings
+const extractTvCertifications = (contentRatings) => {
+  return (contentRatings.results || [])
+    .filter(country => country.rating)
+    .map(country => ({ country: country.iso_3166_1, rating: country.rating }));
+};
+
+const getPrimaryCertification = (certifications) => {
+  const primary = certifications.find(cert => cert.country === CERTIFICATION_COUNTRY);
+  return primary ? primary.rating : null;
+};
+
+// Release metadata shared by movies and TV shows
+const extractMetadata = (details, certifications) => ({
+  original_language: details.original_language || null,
+  spokenLanguages: (details.spoken_languages || []).map(language => ({
+    code: language.iso_639_1,
+    name: language.english_name || language.name
+  })),
+  productionCountries: (details.production_countries || []).map(country => ({
+    code: country.iso_3166_1,
+    name: country.name
+  })),
+  certifications,
+  certification: getPrimaryCertification(certifications),
+  maturityLevel: maturityService.getContentLevel(certifications),
+  status: details.status || null,
+  tagline: details.tagline || null,
+  metadataUpdatedAt: new Date()
+});
+
+const extractMovieMetadata = (details, releaseDates) => ({
+  ...extractMetadata(details, extractMovieCertifications(releaseDates)),
+  budget: details.budget || null,
+  revenue: details.revenue || null
+});
+
+const extractTvMetadata = (details, contentRatings) => ({
+  ...extractMetadata(details, extractTvCertifications(contentRatings)),
+  networks: (details.networks || []).map(network => ({
+    id: network.id,
+    name: network.name,
+    logoPath: network.logo_path
+  })),
+  numberOfSeasons: details.number_of_seasons || null,
+  numberOfEpisodes: details.number_of_episodes || null
+});
+
 // Transform TMDB movie data to our schema
 const transformMovieData = async (movie) => {
   // Get additional details, credits, and keywords
-  const [detailsRes, creditsRes, keywordsRes] = await Promise.all([
+  const [detailsRes, creditsRes, keywordsRes, releaseDatesRes] = await Promise.all([
     axios.get(createTmdbUrl(`/movie/${movie.id}`)),
     axios.get(createTmdbUrl(`/movie/${movie.id}/credits`)),
-    axios.get(createTmdbUrl(`/movie/${movie.id}/keywords`))
+    axios.get(createTmdbUrl(`/movie/${movie.id}/keywords`)),
+    axios.get(createTmdbUrl(`/movie/${movie.id}/release_dates`))
   ]);
   
   const details = detailsRes.data;
   const credits = creditsRes.data;
   const keywords = keywordsRes.data;
+  const releaseDates = releaseDatesRes.data;
   
   return {
     tmdbId: movie.id,
@@ -68,22 +137,25 @@ const transformMovieData = async (movie) => {
     keywords: keywords.keywords.map(keyword => ({
       id: keyword.id,
       name: keyword.name
-    }))
+    })),
+    ...extractMovieMetadata(details, releaseDates)
   };
 };
 
 // Transform TMDB TV show data to our schema
 const transformTvData = async (tvShow) => {
   // Get additional details, credits, and keywords
-  const [detailsRes, creditsRes, keywordsRes] = await Promise.all([
+  const [detailsRes, creditsRes, keywordsRes, contentRatingsRes] = await Promise.all([
     axios.get(createTmdbUrl(`/tv/${tvShow.id}`)),
     axios.get(createTmdbUrl(`/tv/${tvShow.id}/credits`)),
-    axios.get(createTmdbUrl(`/tv/${tvShow.id}/keywords`))
+    axios.get(createTmdbUrl(`/tv/${tvShow.id}/keywords`)),
+    axios.get(createTmdbUrl(`/tv/${tvShow.id}/content_ratings`))
   ]);
   
   const details = detailsRes.data;
   const credits = creditsRes.data;
   const keywords = keywordsRes.data.results || [];
+  const contentRatings = contentRatingsRes.data;
   
   // Process seasons and episodes
   const seasons = [];
@@ -145,7 +217,8 @@ const transformTvData = async (tvShow) => {
     keywords: keywords.map(keyword => ({
       id: keyword.id,
       name: keyword.name
-    }))
+    })),
+    ...extractTvMetadata(details, contentRatings)
   };
 };
 
@@ -348,6 +421,74 @@ const tmdbService = {
     }
   },
   
+  // Fetch release metadata (language, certifications, budget, networks...) for one title
+  fetchMetadata: async (tmdbId, contentType) => {
+    if (contentType === 'movie') {
+      const [detailsRes, releaseDatesRes] = await Promise.all([
+        axios.get(createTmdbUrl(`/movie/${tmdbId}`)),
+        axios.get(createTmdbUrl(`/movie/${tmdbId}/release_dates`))
+      ]);
+      return extractMovieMetadata(detailsRes.data, releaseDatesRes.data);
+    }
+    
+    const [detailsRes, contentRatingsRes] = await Promise.all([
+      axios.get(createTmdbUrl(`/tv/${tmdbId}`)),
+      axios.get(createTmdbUrl(`/tv/${tmdbId}/content_ratings`))
+    ]);
+    return extractTvMetadata(detailsRes.data, contentRatingsRes.data);
+  },
+  
+  // Backfill release metadata for content imported before it was stored
+  backfillMetadata: async ({ limit = 100, force = false } = {}) => {
+    try {
+      const now = new Date();
+      // Titles whose fetch failed wait a while, so they can't starve the rest of the queue
+      const retryBefore = new Date(now.getTime() - METADATA_RETRY_MS);
+      const query = force ? {} : {
+        metadataUpdatedAt: null,
+        $or: [{ metadataAttemptedAt: null }, { metadataAttemptedAt: { $lt: retryBefore } }]
+      };
+      // Least recently attempted first (never attempted before anything else)
+      const contents = await Content.find(query)
+        .select('tmdbId type title')
+        .sort({ metadataAttemptedAt: 1 })
+        .limit(limit);
+      
+      let updated = 0;
+      const failed = [];
+      
+      // One title at a time to stay within TMDB rate limits
+      for (const content of contents) {
+        try {
+          const metadata = await tmdbService.fetchMetadata(content.tmdbId, content.type);
+          await Content.updateOne(
+            { _id: content._id },
+            { $set: { ...metadata, metadataAttemptedAt: now, updatedAt: new Date() } }
+          );
+          updated++;
+        } catch (error) {
+          console.error(`Error backfilling metadata for ${content.type} ${content.tmdbId}:`, error.message);
+          failed.push({ _id: content._id, tmdbId: content.tmdbId, title: content.title });
+          await Content.updateOne({ _id: content._id }, { $set: { metadataAttemptedAt: now } });
+          // Continue with next item
+        }
+      }
+      
+      const remaining = await Content.countDocuments({ metadataUpdatedAt: null });
+      
+      return {
+        success: true,
+        processed: contents.length,
+        updated,
+        failed,
+        remaining
+      };
+    } catch (error) {
+      console.error('Error backfilling metadata:', error);
+      throw new Error('Failed to backfill metadata');
+    }
+  },
+  
   // Set featured content (top 4 items for banner rotation)
   setFeaturedContent: async () => {
     try {
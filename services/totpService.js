@@ -0,0 +1,167 @@
+// services/totpService.js
+const crypto = require('crypto');
+
+// RFC 6238 defaults used by every common authenticator app
+const DIGITS = 6;
+const PERIOD = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode a buffer as RFC 4648 base32 (no padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode an RFC 4648 base32 string (padding and spaces ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) code for a counter value
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+};
+
+/**
+ * Time-based one-time password (RFC 6238) helpers for two-factor auth
+ */
+const totpService = {
+  /**
+   * Generate a new random base32 secret
+   * @returns {string} 32 character base32 secret (160 bits)
+   */
+  generateSecret: () => base32Encode(crypto.randomBytes(20)),
+
+  /**
+   * Build the otpauth:// URI rendered as a QR code by authenticator apps
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Usually the user's email
+   * @param {string} issuer - Name shown in the app
+   * @returns {string} otpauth URI
+   */
+  getOtpauthUri: (secret, accountName, issuer = process.env.TOTP_ISSUER || 'Netflix Clone') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  },
+
+  /**
+   * Get the time step for a timestamp
+   * @param {number} time - Milliseconds since epoch
+   * @returns {number} The TOTP time step
+   */
+  getTimeStep: (time = Date.now()) => Math.floor(time / 1000 / PERIOD),
+
+  /**
+   * Generate the code for a secret at a given time
+   * @param {string} secret - Base32 secret
+   * @param {number} time - Milliseconds since epoch
+   * @returns {string} 6 digit code
+   */
+  generateCode: (secret, time = Date.now()) => hotp(secret, totpService.getTimeStep(time)),
+
+  /**
+   * Verify a code, allowing for clock drift of `window` steps either way
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} window - Number of steps of drift to accept
+   * @returns {number|null} The matched time step, or null if the code is invalid
+   */
+  verifyCode: (secret, code, window = 1) => {
+    if (!secret || !code) return null;
+
+    const normalized = String(code).replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const currentStep = totpService.getTimeStep();
+    for (let offset = -window; offset <= window; offset++) {
+      const step = currentStep + offset;
+      const expected = hotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Generate single-use recovery codes
+   * @param {number} count - Number of codes
+   * @returns {Object} { codes: raw codes to show once, hashes: values to store }
+   */
+  generateRecoveryCodes: (count = 10) => {
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(hashRecoveryCode)
+    };
+  },
+
+  hashRecoveryCode
+};
+
+module.exports = totpService;
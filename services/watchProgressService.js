@@ -0,0 +1,348 @@
+// services/watchProgressService.js
+const mongoose = require('mongoose');
+const WatchProgress = require('../models/WatchProgress');
+
+// Fraction of a title that counts as "finished" (credits usually start before the end)
+const COMPLETION_THRESHOLD = parseFloat(process.env.WATCH_COMPLETION_THRESHOLD) || 0.9;
+
+// Progress below this many seconds isn't worth a Continue Watching entry
+const MIN_RESUME_POSITION = parseInt(process.env.WATCH_MIN_RESUME_SECONDS) || 30;
+
+/**
+ * Find an episode of a TV show in the Content seasons data
+ * @param {Object} content - Content document
+ * @param {number} seasonNumber - Season number
+ * @param {number} episodeNumber - Episode number
+ * @returns {Object|null} The episode, or null if it doesn't exist
+ */
+const findEpisode = (content, seasonNumber, episodeNumber) => {
+  for (const season of content.seasons || []) {
+    const episode = (season.episodes || []).find(ep =>
+      ep.seasonNumber === seasonNumber && ep.episodeNumber === episodeNumber
+    );
+    if (episode) return episode;
+  }
+  return null;
+};
+
+/**
+ * Get the episodes of a TV show in viewing order, skipping specials (season 0)
+ * @param {Object} content - Content document
+ * @returns {Array} Episodes sorted by season then episode number
+ */
+const getOrderedEpisodes = (content) => {
+  const episodes = [];
+
+  (content.seasons || []).forEach(season => {
+    (season.episodes || []).forEach(episode => {
+      if (episode.seasonNumber > 0) {
+        episodes.push(episode);
+      }
+    });
+  });
+
+  return episodes.sort((a, b) =>
+    a.seasonNumber - b.seasonNumber || a.episodeNumber - b.episodeNumber
+  );
+};
+
+const episodeKey = (seasonNumber, episodeNumber) => `${seasonNumber}x${episodeNumber}`;
+
+// Shape an episode for API responses
+const formatEpisode = (episode) => ({
+  id: episode.id,
+  name: episode.name,
+  overview: episode.overview,
+  stillPath: episode.stillPath,
+  airDate: episode.airDate,
+  seasonNumber: episode.seasonNumber,
+  episodeNumber: episode.episodeNumber
+});
+
+/**
+ * Work out which episode a profile should watch next, given its progress entries.
+ * - Latest episode unfinished: resume it
+ * - Latest episode finished: the next unfinished episode after it (rolling into the next season)
+ * - Nothing watched yet: the first episode
+ * @param {Object} content - TV content document
+ * @param {Array} progressEntries - The profile's progress entries for this show
+ * @returns {Object|null} { status, episode, position, duration } or null if the series is finished
+ */
+const resolveNextEpisode = (content, progressEntries) => {
+  const episodes = getOrderedEpisodes(content);
+  if (episodes.length === 0) return null;
+
+  const entries = progressEntries.filter(entry => entry.seasonNumber > 0);
+
+  if (entries.length === 0) {
+    return { status: 'start', episode: formatEpisode(episodes[0]), position: 0, duration: null };
+  }
+
+  const latest = entries.reduce((a, b) => (a.lastWatchedAt >= b.lastWatchedAt ? a : b));
+
+  if (!latest.completed) {
+    const episode = episodes.find(ep =>
+      ep.seasonNumber === latest.seasonNumber && ep.episodeNumber === latest.episodeNumber
+    );
+    if (episode) {
+      return {
+        status: 'resume',
+        episode: formatEpisode(episode),
+        position: latest.position,
+        duration: latest.duration
+      };
+    }
+  }
+
+  const completed = new Set(
+    entries
+      .filter(entry => entry.completed)
+      .map(entry => episodeKey(entry.seasonNumber, entry.episodeNumber))
+  );
+
+  const latestIndex = episodes.findIndex(ep =>
+    ep.seasonNumber === latest.seasonNumber && ep.episodeNumber === latest.episodeNumber
+  );
+
+  const next = episodes
+    .slice(latestIndex + 1)
+    .find(ep => !completed.has(episodeKey(ep.seasonNumber, ep.episodeNumber)));
+
+  if (!next) return null;
+
+  const nextEntry = entries.find(entry =>
+    entry.seasonNumber === next.seasonNumber && entry.episodeNumber === next.episodeNumber
+  );
+
+  return {
+    status: 'next',
+    episode: formatEpisode(next),
+    position: nextEntry ? nextEntry.position : 0,
+    duration: nextEntry ? nextEntry.duration : null
+  };
+};
+
+/**
+ * Watch progress service: playback heartbeats, Continue Watching and Next Up
+ */
+const watchProgressService = {
+  COMPLETION_THRESHOLD,
+
+  findEpisode,
+
+  getOrderedEpisodes,
+
+  resolveNextEpisode,
+
+  /**
+   * Check whether a position counts as finished
+   * @param {number} position - Position in seconds
+   * @param {number} duration - Duration in seconds
+   * @returns {boolean} True if past the completion threshold
+   */
+  isFinished: (position, duration) => {
+    return duration > 0 && position / duration >= COMPLETION_THRESHOLD;
+  },
+
+  /**
+   * Record a playback heartbeat
+   * @param {Object} params - { userId, profileId, content, position, duration, seasonNumber, episodeNumber, episodeId }
+   * @returns {Promise<Object>} The updated progress entry
+   */
+  recordProgress: async ({ userId, profileId, content, position, duration, seasonNumber = null, episodeNumber = null, episodeId = null }) => {
+    const now = new Date();
+    const finished = watchProgressService.isFinished(position, duration);
+
+    const filter = {
+      profile: profileId,
+      content: content._id,
+      seasonNumber,
+      episodeNumber
+    };
+
+    // A single upsert, so a heartbeat sent twice can't race on the unique index.
+    // Every expression below sees the entry as it was before this update.
+    const wasCompleted = { $ifNull: ['$completed', false] };
+    // Starting over after finishing counts as a rewatch
+    const restarted = { $and: [wasCompleted, { $lt: [position, { $ifNull: ['$position', 0] }] }] };
+
+    return await WatchProgress.findOneAndUpdate(
+      filter,
+      [{
+        $set: {
+          user: { $ifNull: ['$user', new mongoose.Types.ObjectId(userId.toString())] },
+          episodeId: episodeId || { $ifNull: ['$episodeId', null] },
+          position,
+          duration,
+          completed: finished ? true : { $cond: [restarted, false, wasCompleted] },
+          completedAt: finished
+            ? { $cond: [wasCompleted, '$completedAt', now] }
+            : { $cond: [restarted, null, { $ifNull: ['$completedAt', null] }] },
+          completedCount: {
+            $add: [{ $ifNull: ['$completedCount', 0] }, finished ? { $cond: [wasCompleted, 0, 1] } : 0]
+          },
+          startedAt: { $ifNull: ['$startedAt', now] },
+          lastWatchedAt: now
+        }
+      }],
+      { upsert: true, new: true }
+    );
+  },
+
+  /**
+   * Get the "Continue Watching" row for a profile: titles whose most recent
+   * entry is unfinished, ordered by when they were last watched
+   * @param {string} profileId - The profile ID
+   * @param {number} limit - Maximum number of titles
+   * @param {Object} contentFilter - Extra Content conditions (e.g. maturity filter)
+   * @returns {Promise<Array>} Progress entries with content populated
+   */
+  getContinueWatching: async (profileId, limit = 20, contentFilter = {}) => {
+    return await WatchProgress.aggregate([
+      { $match: { profile: new mongoose.Types.ObjectId(profileId) } },
+      { $sort: { lastWatchedAt: -1 } },
+      // Latest entry per title (for TV, the latest episode watched)
+      { $group: { _id: '$content', latest: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$latest' } },
+      {
+        $match: {
+          completed: false,
+          position: { $gte: MIN_RESUME_POSITION }
+        }
+      },
+      { $sort: { lastWatchedAt: -1 } },
+      {
+        $lookup: {
+          from: 'contents',
+          localField: 'content',
+          foreignField: '_id',
+          pipeline: [{ $match: contentFilter }],
+          as: 'content'
+        }
+      },
+      // Drops titles that were deleted or don't pass the content filter
+      { $unwind: '$content' },
+      { $limit: limit },
+      {
+        $project: {
+          seasonNumber: 1,
+          episodeNumber: 1,
+          episodeId: 1,
+          position: 1,
+          duration: 1,
+          lastWatchedAt: 1,
+          progress: {
+            $cond: [
+              { $gt: ['$duration', 0] },
+              { $min: [{ $divide: ['$position', '$duration'] }, 1] },
+              0
+            ]
+          },
+          'content._id': 1,
+          'content.title': 1,
+          'content.type': 1,
+          'content.posterPath': 1,
+          'content.backdropPath': 1,
+          'content.runtime': 1,
+          'content.releaseDate': 1,
+          'content.voteAverage': 1
+        }
+      }
+    ]);
+  },
+
+  /**
+   * Get the next episode of a TV show for a profile
+   * @param {string} profileId - The profile ID
+   * @param {Object} content - TV content document
+   * @returns {Promise<Object|null>} Next episode info, or null if the series is finished
+   */
+  getNextEpisode: async (profileId, content) => {
+    const entries = await WatchProgress.find({ profile: profileId, content: content._id });
+    return resolveNextEpisode(content, entries);
+  },
+
+  /**
+   * Get the "Next Up" row: series the profile is part-way through whose latest
+   * episode is finished and that have another episode to watch
+   * @param {string} profileId - The profile ID
+   * @param {number} limit - Maximum number of series
+   * @param {Object} contentFilter - Extra Content conditions (e.g. maturity filter)
+   * @returns {Promise<Array>} [{ content, nextEpisode, lastWatchedAt }]
+   */
+  getNextUp: async (profileId, limit = 20, contentFilter = {}) => {
+    const entries = await WatchProgress.find({
+      profile: profileId,
+      seasonNumber: { $gt: 0 }
+    })
+      .sort({ lastWatchedAt: -1 })
+      .populate({
+        path: 'content',
+        select: 'title type posterPath backdropPath releaseDate voteAverage seasons',
+        match: contentFilter
+      });
+
+    // Group entries by series, keeping the recency order
+    const bySeries = new Map();
+    entries.forEach(entry => {
+      if (!entry.content || entry.content.type !== 'tv') return;
+
+      const id = entry.content._id.toString();
+      if (!bySeries.has(id)) {
+        bySeries.set(id, { content: entry.content, entries: [] });
+      }
+      bySeries.get(id).entries.push(entry);
+    });
+
+    const rows = [];
+    for (const { content, entries: seriesEntries } of bySeries.values()) {
+      // Latest episode still in progress belongs to Continue Watching instead
+      if (!seriesEntries[0].completed) continue;
+
+      const next = resolveNextEpisode(content, seriesEntries);
+      if (!next) continue;
+
+      rows.push({
+        content: {
+          _id: content._id,
+          title: content.title,
+          type: content.type,
+          posterPath: content.posterPath,
+          backdropPath: content.backdropPath,
+          releaseDate: content.releaseDate,
+          voteAverage: content.voteAverage
+        },
+        nextEpisode: next.episode,
+        lastWatchedAt: seriesEntries[0].lastWatchedAt
+      });
+
+      if (rows.length >= limit) break;
+    }
+
+    return rows;
+  },
+
+  /**
+   * Get all progress entries of a profile for one title
+   * @param {string} profileId - The profile ID
+   * @param {string} contentId - The content ID
+   * @returns {Promise<Array>} Progress entries, episodes in order
+   */
+  getProgressForContent: async (profileId, contentId) => {
+    return await WatchProgress.find({ profile: profileId, content: contentId })
+      .sort({ seasonNumber: 1, episodeNumber: 1 });
+  },
+
+  /**
+   * Remove a title from the profile's viewing history
+   * @param {string} profileId - The profile ID
+   * @param {string} contentId - The content ID
+   * @returns {Promise<number>} Number of entries removed
+   */
+  clearProgress: async (profileId, contentId) => {
+    const result = await WatchProgress.deleteMany({ profile: profileId, content: contentId });
+    return result.deletedCount;
+  }
+};
+
+module.exports = watchProgressService;